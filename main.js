@@ -9,6 +9,9 @@ document.addEventListener("DOMContentLoaded", function () {
     const hasSpeechRecognition = !!SpeechRecognition;
     const hasCanvasCaptureStream = !!HTMLCanvasElement.prototype.captureStream;
     const hasAudioContext = !!(window.AudioContext || window.webkitAudioContext);
+    const hasSegmenter = typeof Intl.Segmenter === "function"; // Word/grapheme breaking for CJK and Thai
+    const hasWebCodecs = !!(window.VideoEncoder && window.AudioEncoder && window.VideoFrame && window.AudioData);
+    const hasMp3Encoder = !!window.lamejs?.Mp3Encoder; // lamejs, loaded from index.html
     const isSecureContext = window.location.protocol === 'https:' || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
 
 
@@ -19,6 +22,9 @@ document.addEventListener("DOMContentLoaded", function () {
     console.log(`  - hasSpeechRecognition (transcript API): ${hasSpeechRecognition ? 'Yes' : 'No (Transcript will be manual)'}`);
     console.log(`  - hasCanvasCaptureStream (video API): ${hasCanvasCaptureStream}`);
     console.log(`  - hasAudioContext (audio processing API): ${hasAudioContext}`);
+    console.log(`  - hasSegmenter (caption line breaking API): ${hasSegmenter ? 'Yes' : 'No (captions wrap at spaces only)'}`);
+    console.log(`  - hasWebCodecs (offline video rendering API): ${hasWebCodecs ? 'Yes' : 'No (video is recorded in real time)'}`);
+    console.log(`  - hasMp3Encoder (MP3 download): ${hasMp3Encoder ? 'Yes' : 'No (audio downloads as WAV or original)'}`);
 
 
     // =====================
@@ -28,7 +34,13 @@ document.addEventListener("DOMContentLoaded", function () {
     const stopBtn = document.getElementById("stopBtn");
     const downloadBtn = document.getElementById("downloadBtn");
     const exportBtn = document.getElementById("exportBtn");
+    const importSubtitlesBtn = document.getElementById("importSubtitlesBtn");
+    const subtitleFileInput = document.getElementById("subtitleFileInput");
     const videoBtn = document.getElementById("videoBtn");
+    const transcribeBtn = document.getElementById("transcribeBtn");
+    const cancelTranscriptionBtn = document.getElementById("cancelTranscriptionBtn");
+    const importBtn = document.getElementById("importBtn");
+    const audioFileInput = document.getElementById("audioFileInput");
     const resetBtn = document.getElementById("resetBtn");
     const clearUIBtn = document.getElementById("clearUIBtn");
     const playPauseBtn = document.getElementById("playPauseBtn");
@@ -37,10 +49,128 @@ document.addEventListener("DOMContentLoaded", function () {
     const audioDurationSpan = document.getElementById("audio-duration");
     const statusDiv = document.getElementById("status");
     const waveformContainer = document.getElementById("waveform");
+    const videoProgressDiv = document.getElementById("videoProgress");
+    const videoProgressBar = document.getElementById("videoProgressBar");
+    const videoProgressText = document.getElementById("videoProgressText");
+    const cancelVideoBtn = document.getElementById("cancelVideoBtn");
+    const previewCanvas = document.getElementById("previewCanvas");
+    const previewContext = previewCanvas.getContext("2d");
+    const settingsDiv = document.querySelector(".settings");
+    const regionModeSelect = document.getElementById("regionModeSelect");
+    const clearRegionsBtn = document.getElementById("clearRegionsBtn");
+    const trimSummary = document.getElementById("trimSummary");
+    const silenceThresholdInput = document.getElementById("silenceThresholdInput");
+    const maxPauseInput = document.getElementById("maxPauseInput");
+    const removeSilenceBtn = document.getElementById("removeSilenceBtn");
+    const abToggleBtn = document.getElementById("abToggleBtn");
+    const cleanupEnabledCheckbox = document.getElementById("cleanupEnabledCheckbox");
+    const highPassInput = document.getElementById("highPassInput");
+    const gateThresholdInput = document.getElementById("gateThresholdInput");
+    const targetLoudnessSelect = document.getElementById("targetLoudnessSelect");
 
     const audioFileNameInput = document.getElementById("audioFileNameInput");
+    const audioFormatSelect = document.getElementById("audioFormatSelect");
+    const mp3BitrateSelect = document.getElementById("mp3BitrateSelect");
     const videoFileNameInput = document.getElementById("videoFileNameInput");
     const transcriptFileNameInput = document.getElementById("transcriptFileNameInput");
+    const transcriptFormatSelect = document.getElementById("transcriptFormatSelect");
+
+    const transcriptionProviderSelect = document.getElementById("transcriptionProviderSelect");
+    const recognitionLanguageSelect = document.getElementById("recognitionLanguageSelect");
+    const whisperSettingsDiv = document.getElementById("whisperSettings");
+    const whisperEndpointInput = document.getElementById("whisperEndpointInput");
+    const whisperModelInput = document.getElementById("whisperModelInput");
+    const whisperApiKeyInput = document.getElementById("whisperApiKeyInput");
+    const whisperRememberKeyCheckbox = document.getElementById("whisperRememberKeyCheckbox");
+    const whisperConvertWavCheckbox = document.getElementById("whisperConvertWavCheckbox");
+
+    const videoAspectSelect = document.getElementById("videoAspectSelect");
+    const videoResolutionSelect = document.getElementById("videoResolutionSelect");
+    const videoFrameRateSelect = document.getElementById("videoFrameRateSelect");
+    const videoContainerSelect = document.getElementById("videoContainerSelect");
+    const subtitleTrackCheckbox = document.getElementById("subtitleTrackCheckbox");
+    const burnCaptionsCheckbox = document.getElementById("burnCaptionsCheckbox");
+
+    const musicFileBtn = document.getElementById("musicFileBtn");
+    const musicFileInput = document.getElementById("musicFileInput");
+    const musicFileName = document.getElementById("musicFileName");
+    const clearMusicBtn = document.getElementById("clearMusicBtn");
+    const musicVolumeInput = document.getElementById("musicVolumeInput");
+    const musicLoopCheckbox = document.getElementById("musicLoopCheckbox");
+    const musicFadeOutInput = document.getElementById("musicFadeOutInput");
+    const musicDuckThresholdInput = document.getElementById("musicDuckThresholdInput");
+    const musicDuckAmountInput = document.getElementById("musicDuckAmountInput");
+    const musicInDownloadCheckbox = document.getElementById("musicInDownloadCheckbox");
+
+    const backgroundTypeSelect = document.getElementById("backgroundTypeSelect");
+    const backgroundFileBtn = document.getElementById("backgroundFileBtn");
+    const backgroundFileInput = document.getElementById("backgroundFileInput");
+    const backgroundFileName = document.getElementById("backgroundFileName");
+    const backgroundFitSelect = document.getElementById("backgroundFitSelect");
+    const backgroundBlurInput = document.getElementById("backgroundBlurInput");
+    const gradientTypeSelect = document.getElementById("gradientTypeSelect");
+    const gradientStartInput = document.getElementById("gradientStartInput");
+    const gradientEndInput = document.getElementById("gradientEndInput");
+    const gradientAngleInput = document.getElementById("gradientAngleInput");
+    const backgroundDimInput = document.getElementById("backgroundDimInput");
+    const backgroundSettingsRows = document.querySelectorAll("[data-background-types]");
+
+    const captionFontSelect = document.getElementById("captionFontSelect");
+    const captionWeightSelect = document.getElementById("captionWeightSelect");
+    const captionSizeInput = document.getElementById("captionSizeInput");
+    const captionColorInput = document.getElementById("captionColorInput");
+    const captionPositionSelect = document.getElementById("captionPositionSelect");
+    const captionPaddingInput = document.getElementById("captionPaddingInput");
+    const captionBoxColorInput = document.getElementById("captionBoxColorInput");
+    const captionBoxOpacityInput = document.getElementById("captionBoxOpacityInput");
+    const captionAnimationSelect = document.getElementById("captionAnimationSelect");
+    const captionTransitionSelect = document.getElementById("captionTransitionSelect");
+    const captionHighlightInput = document.getElementById("captionHighlightInput");
+    const captionStrokeInput = document.getElementById("captionStrokeInput");
+    const captionStrokeColorInput = document.getElementById("captionStrokeColorInput");
+    const captionShadowInput = document.getElementById("captionShadowInput");
+
+    const introEnabledCheckbox = document.getElementById("introEnabledCheckbox");
+    const introTextInput = document.getElementById("introTextInput");
+    const introDurationInput = document.getElementById("introDurationInput");
+    const introBackgroundSelect = document.getElementById("introBackgroundSelect");
+    const introColorInput = document.getElementById("introColorInput");
+    const outroEnabledCheckbox = document.getElementById("outroEnabledCheckbox");
+    const outroTextInput = document.getElementById("outroTextInput");
+    const outroDurationInput = document.getElementById("outroDurationInput");
+    const outroBackgroundSelect = document.getElementById("outroBackgroundSelect");
+    const outroColorInput = document.getElementById("outroColorInput");
+    const progressBarCheckbox = document.getElementById("progressBarCheckbox");
+    const timerCheckbox = document.getElementById("timerCheckbox");
+    const posterWidthSelect = document.getElementById("posterWidthSelect");
+    const savePosterBtn = document.getElementById("savePosterBtn");
+    const gifDurationInput = document.getElementById("gifDurationInput");
+    const gifFrameRateSelect = document.getElementById("gifFrameRateSelect");
+    const gifWidthSelect = document.getElementById("gifWidthSelect");
+    const saveGifBtn = document.getElementById("saveGifBtn");
+
+    const watermarkFileBtn = document.getElementById("watermarkFileBtn");
+    const watermarkFileInput = document.getElementById("watermarkFileInput");
+    const watermarkFileName = document.getElementById("watermarkFileName");
+    const clearWatermarkBtn = document.getElementById("clearWatermarkBtn");
+    const watermarkCornerSelect = document.getElementById("watermarkCornerSelect");
+    const watermarkSizeInput = document.getElementById("watermarkSizeInput");
+    const watermarkOpacityInput = document.getElementById("watermarkOpacityInput");
+
+    const templateSelect = document.getElementById("templateSelect");
+    const templateNameInput = document.getElementById("templateNameInput");
+    const saveTemplateBtn = document.getElementById("saveTemplateBtn");
+    const applyTemplateBtn = document.getElementById("applyTemplateBtn");
+    const deleteTemplateBtn = document.getElementById("deleteTemplateBtn");
+    const exportTemplateBtn = document.getElementById("exportTemplateBtn");
+    const importTemplateBtn = document.getElementById("importTemplateBtn");
+    const templateFileInput = document.getElementById("templateFileInput");
+
+    const visualizerStyleSelect = document.getElementById("visualizerStyleSelect");
+    const visualizerPositionSelect = document.getElementById("visualizerPositionSelect");
+    const visualizerSizeInput = document.getElementById("visualizerSizeInput");
+    const visualizerColorInput = document.getElementById("visualizerColorInput");
+    const visualizerAccentInput = document.getElementById("visualizerAccentInput");
 
     // =====================
     // Global State Variables (use let as these will be reassigned)
@@ -53,16 +183,55 @@ document.addEventListener("DOMContentLoaded", function () {
     let audioBlob = null; // Initialize with null
     let audioUrl = null; // Initialize with null
     let wavesurfer = null; // Initialize with null
+    let regionsPlugin = null; // Wavesurfer Regions plugin holding the trim regions (null if not loaded)
     let isRecording = false;
     let isProcessingStop = false;
     let supportedAudioType = "";
     let statusTimeoutId = null;
+    let loadedAudioDuration = 0; // Seconds, once the waveform or metadata has loaded (0 if unknown)
+
+    // Variables for transcript timing (offsets are seconds from mediaRecorder.start())
+    let recordingStartTime = 0; // performance.now() timestamp of mediaRecorder.start()
+    let transcriptSegments = []; // Timed transcript phrases: { text, start, end, confidence, lang, words? }
+    let transcriptionController = null; // AbortController of the transcription in progress (Cancel and the timeout use it)
+
+    // Variables for transcription providers (filled from localStorage during initialization)
+    let transcriptionSettings = null;
+    let videoSettings = null; // Output presets for generated video
+    let backgroundSettings = null; // Background style for generated video
+    let backgroundImage = null; // HTMLImageElement chosen for the "image" background
+    let backgroundVideo = null; // Muted, looping HTMLVideoElement chosen for the "video" background
+    let backgroundMediaUrl = null; // Object URL of the chosen background file
+    let visualizerSettings = null; // Audio-reactive visualizer layer
+    let captionSettings = null; // Caption font, colours, placement, box and animation
+    let watermarkSettings = null; // Corner logo; carries the image as a data URL
+    let watermarkImage = null; // HTMLImageElement decoded from watermarkSettings.image
+    let cardSettings = null; // Intro/end title cards and the progress overlay
+    let gifSettings = null; // Poster frame size and GIF length, frame rate and width
+    let silenceSettings = null; // Silence removal threshold and longest kept pause
+    let cleanupSettings = null; // Voice cleanup chain applied to downloads and videos
+    let cleanedAudio = null; // { source, key, blob }: cleaned WAV for the audioBlob and settings it was made from
+    let isPlayingCleaned = false; // A/B state of the player
+    let comparisonAudioUrl = null; // Object URL the player uses after an A/B switch
+    let musicSettings = null; // Music bed volume, looping, fade and ducking
+    let musicBuffer = null; // Decoded background music track (null if none chosen)
 
     // Variables for video generation audio context
     let audioContextForVideo = null;
     let bufferSourceNodeForVideo = null;
+    let musicSourceNodeForVideo = null; // Background music bed, connected straight to the destination
     let destinationNodeForVideo = null;
+    let analyserNodeForVideo = null; // Feeds the visualizer; sits between the source and destination
     let canvasAnimationId = null;
+    let videoRecorder = null; // MediaRecorder of the real-time video path while it records
+    let isVideoCancelled = false; // Set by the Cancel button; both render paths check it
+    let videoProgressStartTime = 0; // performance.now() when the current video generation started
+
+    // Variables for the live preview (drawn with the same renderer as the export)
+    let previewScene = null; // Scene drawn by drawPreviewFrame, rebuilt when settings or transcript change
+    let previewAudio = null; // { buffer, analyser, envelope } for wavesurfer's decoded audio
+    let previewBuildId = 0; // Lets an older async refresh notice it was superseded
+    let previewRefreshId = null; // Pending requestAnimationFrame of schedulePreviewRefresh
 
 
     // =====================
@@ -71,10 +240,337 @@ document.addEventListener("DOMContentLoaded", function () {
     const MIN_RECORDING_BLOB_SIZE = 100;
     const STATUS_MESSAGE_DURATION = 4000;
 
+    // Caption timing for generated video
+    const MAX_CAPTION_WORDS = 8; // Longest phrase shown on screen at once
+    const CAPTION_GAP_BRIDGE = 1.5; // Seconds; shorter pauses keep the previous phrase on screen
+    const RECOGNITION_LATENCY = 0.3; // Seconds SpeechRecognition results typically lag behind the speech
+
+    // Video output presets. Resolution is the short side; the other side follows the aspect ratio.
+    const VIDEO_ASPECT_RATIOS = { "9:16": [9, 16], "16:9": [16, 9], "1:1": [1, 1], "4:5": [4, 5] };
+    const VIDEO_RESOLUTIONS = [720, 1080];
+    const VIDEO_FRAME_RATES = [24, 30, 60];
+    const VIDEO_CONTAINERS = ["auto", "mp4", "webm"]; // "auto" prefers MP4, like PREFERRED_VIDEO_MIME_TYPES
+    const DEFAULT_VIDEO_SETTINGS = {
+        aspectRatio: "9:16",
+        resolution: 720,
+        frameRate: 30,
+        container: "auto",
+        subtitleTrack: false, // Embed the captions as a soft WebVTT track ("auto" then prefers WebM)
+        burnCaptions: true, // Draw the captions into the picture
+    };
+    const LAYOUT_REFERENCE_SIZE = 720; // Font sizes below are for a 720px short side and scale from there
+    const VIDEO_BITS_PER_PIXEL = 0.1; // Recorder bitrate per pixel per frame
+
+    // Soft subtitle track: webm-muxer writes it into WebM; MP4 files get one added after muxing
+    const WEBM_SUBTITLE_CODEC = "S_TEXT/WEBVTT";
+    const MP4_SUBTITLE_TIMESCALE = 1000; // Units per second of the MP4 subtitle track (milliseconds)
+    const WEBM_CODEC_IDS = ["V_VP8", "V_VP9", "V_AV1", "A_OPUS", "A_VORBIS"]; // Anything else needs Matroska
+    // Matroska element IDs read when remuxing a MediaRecorder WebM
+    const EBML_IDS = {
+        segment: 0x18538067,
+        info: 0x1549a966,
+        timecodeScale: 0x2ad7b1,
+        tracks: 0x1654ae6b,
+        trackEntry: 0xae,
+        trackNumber: 0xd7,
+        trackType: 0x83,
+        codecId: 0x86,
+        codecPrivate: 0x63a2,
+        video: 0xe0,
+        pixelWidth: 0xb0,
+        pixelHeight: 0xba,
+        audio: 0xe1,
+        samplingFrequency: 0xb5,
+        channels: 0x9f,
+        cluster: 0x1f43b675,
+        timecode: 0xe7,
+        simpleBlock: 0xa3,
+    };
+    const EBML_MASTER_IDS = new Set([EBML_IDS.segment, EBML_IDS.info, EBML_IDS.tracks, EBML_IDS.trackEntry, EBML_IDS.video, EBML_IDS.audio, EBML_IDS.cluster]);
+
+    // Offline rendering: WebCodecs encoders feeding the JS muxers loaded in index.html.
+    // Codecs are tried in order; the muxer codec is the name each container library expects.
+    const OFFLINE_VIDEO_CODECS = {
+        mp4: [
+            { codec: "avc1.640033", muxerCodec: "avc" }, // H.264 High, level 5.1 (covers 1080p60 portrait)
+            { codec: "avc1.4d0033", muxerCodec: "avc" }, // Main
+            { codec: "avc1.420033", muxerCodec: "avc" }, // Baseline
+        ],
+        webm: [
+            { codec: "vp09.00.50.08", muxerCodec: "V_VP9" },
+            { codec: "vp8", muxerCodec: "V_VP8" },
+        ],
+    };
+    const OFFLINE_AUDIO_CODECS = {
+        mp4: { codec: "mp4a.40.2", muxerCodec: "aac" }, // AAC-LC
+        webm: { codec: "opus", muxerCodec: "A_OPUS" },
+    };
+    const OFFLINE_AUDIO_SAMPLE_RATE = 48000; // Opus only encodes at 48 kHz (and its divisors)
+    const OFFLINE_AUDIO_BITRATE = 128000;
+    const OFFLINE_KEYFRAME_INTERVAL = 2; // Seconds between forced keyframes, keeps the output seekable
+    const OFFLINE_ENCODE_QUEUE_LIMIT = 8; // Frames waiting in the encoder before drawing pauses
+    const OFFLINE_YIELD_INTERVAL = 50; // ms of rendering between yields, so progress paints and Cancel responds
+    const OFFLINE_SEEK_TIMEOUT = 2000; // ms to wait for a background video seek before drawing the frame it has
+
+    // Video backgrounds. Media files are not stored; the other settings are.
+    const DEFAULT_BACKGROUND_SETTINGS = {
+        type: "color", // "color" (theme --bg-dark), "image", "gradient" or "video"
+        fit: "cover", // "cover" or "contain" for image/video
+        blur: 0, // px at the 720px reference size
+        gradientType: "linear", // "linear" or "radial"
+        gradientStart: "#1d3557",
+        gradientEnd: "#0a1128",
+        gradientAngle: 180, // Degrees, CSS convention (180 = top to bottom)
+        dim: 0, // Black overlay opacity in percent, keeps captions readable
+    };
+    const BACKGROUND_TYPES = ["color", "image", "gradient", "video"];
+    const BACKGROUND_FITS = ["cover", "contain"];
+    const GRADIENT_TYPES = ["linear", "radial"];
+
+    // Audio visualizer. Colours default to --wave-color / --wave-progress at startup.
+    const DEFAULT_VISUALIZER_SETTINGS = {
+        style: "none", // "none", "bars", "circle" or "waveform"
+        position: "bottom", // "top", "center" or "bottom"
+        size: 25, // Height of the visualizer area, % of the frame's short side
+        color: "#a8dadc",
+        accentColor: "#ff6b6b",
+    };
+    const VISUALIZER_STYLES = ["none", "bars", "circle", "waveform"];
+    const VISUALIZER_POSITIONS = ["top", "center", "bottom"];
+    const VISUALIZER_FFT_SIZE = 2048;
+    const VISUALIZER_SMOOTHING = 0.75;
+    const VISUALIZER_MIN_DECIBELS = -100; // AnalyserNode defaults, mirrored by the offline analyser
+    const VISUALIZER_MAX_DECIBELS = -30;
+    const VISUALIZER_MIN_FREQUENCY = 60; // Hz; bars cover the voice range on a log scale
+    const VISUALIZER_MAX_FREQUENCY = 8000;
+    const VISUALIZER_BAR_COUNT = 48;
+    const VISUALIZER_CIRCLE_BAR_COUNT = 64; // Per half circle (mirrored)
+    const VISUALIZER_ENVELOPE_RATE = 100; // Waveform peaks per second of audio
+    const VISUALIZER_WAVEFORM_WINDOW = 6; // Seconds of audio visible in the scrolling waveform
+
+    // Caption styles and animations. The text colour defaults to --text-light at startup.
+    const DEFAULT_CAPTION_SETTINGS = {
+        fontFamily: "Archivo", // Key of CAPTION_FONT_FAMILIES
+        fontWeight: 700,
+        fontSize: 40, // Largest size in px at the 720p reference size; long captions shrink from here
+        textColor: "#ffffff",
+        position: "center", // "top", "center" or "bottom"
+        padding: 10, // Space around the caption area, % of the frame's short side
+        boxColor: "#000000", // Box drawn behind the caption lines
+        boxOpacity: 0, // Percent (0 = no box)
+        animation: "none", // "none", "karaoke", "typewriter" or "pop"
+        transition: "none", // Between phrases: "none", "fade" or "slide"
+        highlightColor: "#ffd166", // The word being spoken
+        strokeWidth: 0, // Outline in px at the 720p reference size
+        strokeColor: "#000000",
+        shadow: 0, // Drop shadow blur in px at the 720p reference size (0 = none)
+    };
+    const CAPTION_ANIMATIONS = ["none", "karaoke", "typewriter", "pop"];
+    const CAPTION_TRANSITIONS = ["none", "fade", "slide"];
+    const CAPTION_TRANSITION_DURATION = 0.2; // Seconds to fade or slide a phrase in and out
+    const CAPTION_POP_DURATION = 0.15; // Seconds for a word to grow to full size
+    const CAPTION_POP_SCALE = 0.6; // Size a word pops in from
+    const CAPTION_SHADOW_COLOR = "rgba(0, 0, 0, 0.75)";
+    const CAPTION_POSITIONS = ["top", "center", "bottom"];
+    const CAPTION_FONT_WEIGHTS = [400, 500, 600, 700, 800, 900];
+    const CAPTION_BOX_PADDING_RATIO = 0.3; // Caption box padding as a fraction of the font size
+    // Caption font families (loaded in index.html or common system fonts). No generic family names here:
+    // they would match every glyph and hide the script fallbacks that follow in the stack.
+    const CAPTION_FONT_FAMILIES = {
+        "Archivo": "'Archivo'",
+        "Cal Sans": "'Cal Sans'",
+        "Georgia": "Georgia, 'Times New Roman'",
+        "Courier": "'Courier New'",
+        "Impact": "Impact, 'Arial Black'",
+    };
+
+    // Logo/watermark drawn in a corner of the video
+    const DEFAULT_WATERMARK_SETTINGS = {
+        image: "", // PNG data URL (stored, so it survives reloads and goes into templates)
+        name: "", // File name the logo came from
+        corner: "bottom-right", // One of WATERMARK_CORNERS
+        size: 15, // Width, % of the frame's short side
+        opacity: 80, // Percent
+    };
+    const WATERMARK_CORNERS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+    const WATERMARK_MAX_SIZE = 512; // px; larger logos are scaled down before storing
+    const WATERMARK_MARGIN_RATIO = 0.04; // Distance from the frame edges, fraction of the short side
+
+    // Title cards before and after the voice, and the playback overlay
+    const DEFAULT_CARD_SETTINGS = {
+        introEnabled: false,
+        introText: "",
+        introDuration: 3, // Seconds
+        introBackground: "scene", // "scene" (the video background) or "color"
+        introColor: "#1d3557",
+        outroEnabled: false,
+        outroText: "",
+        outroDuration: 3,
+        outroBackground: "scene",
+        outroColor: "#1d3557",
+        progressBar: false, // Bar along the bottom edge while the voice plays
+        timer: false, // Elapsed / remaining time of the voice section
+    };
+    const TITLE_CARD_MAX_DURATION = 15; // Seconds
+    const TITLE_CARD_BACKGROUNDS = ["scene", "color"];
+    const TITLE_CARD_FONT_SCALE = 1.5; // Card text relative to the caption font size
+    const OVERLAY_BAR_HEIGHT = 6; // px at the 720p reference size
+    const OVERLAY_TRACK_COLOR = "rgba(255, 255, 255, 0.25)";
+    const OVERLAY_TIMER_FONT_SIZE = 20; // px at the 720p reference size
+    const OVERLAY_TIMER_SHADOW = 6; // px blur keeping the timer readable on light backgrounds
+
+    // Poster frames (PNG) and GIF previews, drawn from the live preview scene
+    const DEFAULT_GIF_SETTINGS = {
+        posterWidth: 0, // px; 0 keeps the video size
+        duration: 3, // Seconds from the waveform cursor when no keep region is marked
+        frameRate: 12,
+        width: 320, // px
+    };
+    const POSTER_WIDTHS = [0, 1280, 640, 320];
+    const GIF_FRAME_RATES = [8, 10, 12, 15];
+    const GIF_WIDTHS = [240, 320, 480];
+    const GIF_MAX_DURATION = 10; // Seconds; every frame is held in memory until the palette is built
+    const GIF_MAX_COLORS = 256;
+    const GIF_HISTOGRAM_BITS = 5; // Bits per channel when counting colours for the palette
+    const GIF_MAX_CODE = 4096; // LZW codes are at most 12 bits
+
+    // Style templates: named snapshots of the look, stored in localStorage and shared as JSON files
+    const TEMPLATE_FILE_TYPE = "voice-to-video-style-template";
+    const TEMPLATE_VERSION = 1;
+
+    // Caption auto-fit: long captions shrink from the caption font size down to this, then split into pages
+    const CAPTION_MIN_FONT_SIZE = 24;
+    const CAPTION_FONT_STEP = 2;
+    const CAPTION_LINE_HEIGHT_RATIO = 1.25;
+    const MAX_SEGMENT_ALIGN_CELLS = 4000000; // Upper bound on the word diff table when syncing edits
+    const SUBTITLE_DURATION_TOLERANCE = 0.5; // Seconds imported cues may run past the audio end
+
+    // Trim regions dragged on the waveform
+    const TRIM_KEEP_COLOR = "rgba(78, 205, 196, 0.2)"; // --focus-ring
+    const TRIM_CUT_COLOR = "rgba(230, 57, 70, 0.35)"; // --error-color
+    const MIN_TRIM_SPAN = 0.05; // Seconds; slivers left between regions are dropped
+    const TRIM_FADE_DURATION = 0.01; // Seconds of fade at each cut, avoids clicks
+
+    // Silence removal
+    const DEFAULT_SILENCE_SETTINGS = {
+        threshold: -45, // dBFS; quieter windows count as silence
+        maxPause: 700, // ms; longer pauses are shortened to this
+    };
+    const SILENCE_WINDOW = 0.01; // Seconds per loudness measurement
+    const SILENCE_MIN_SOUND = 0.08; // Seconds; shorter bursts (button clicks) count as silence
+    const SILENCE_EDGE_MARGIN = 0.15; // Seconds kept before the first and after the last sound
+
+    // Voice cleanup chain: high-pass -> noise gate -> compressor -> loudness normalization
+    const DEFAULT_CLEANUP_SETTINGS = {
+        enabled: false, // Use the cleaned audio for downloads and videos
+        highPass: 80, // Hz; removes rumble below the voice (0 = off)
+        gateThreshold: -50, // dBFS; quieter passages are turned down
+        targetLoudness: -14, // LUFS
+    };
+    const CLEANUP_LOUDNESS_TARGETS = [-14, -16, -19, -23]; // Streaming, podcast, mobile, broadcast (EBU R128)
+    const CLEANUP_GATE_WINDOW = 0.01; // Seconds per gate level measurement
+    const CLEANUP_GATE_REDUCTION = -24; // dB applied while the gate is closed (not fully muted)
+    const CLEANUP_GATE_ATTACK = 0.005; // Seconds to open
+    const CLEANUP_GATE_RELEASE = 0.15; // Seconds to close
+    const CLEANUP_COMPRESSOR = { threshold: -24, knee: 12, ratio: 4, attack: 0.005, release: 0.15 };
+    const CLEANUP_PEAK_CEILING = -1; // dBFS; normalization never pushes peaks above this
+    const LOUDNESS_BLOCK = 0.4; // Seconds per BS.1770 measurement block
+    const LOUDNESS_BLOCK_OVERLAP = 0.75;
+    const LOUDNESS_ABSOLUTE_GATE = -70; // LUFS
+    const LOUDNESS_RELATIVE_GATE = -10; // LU below the ungated loudness
+
+    // Background music bed
+    const DEFAULT_MUSIC_SETTINGS = {
+        volume: 30, // Percent of the track's own level
+        loop: true, // Repeat the track until the voice ends
+        fadeOut: 3, // Seconds of fade at the end (0 = cut)
+        duckThreshold: -40, // dBFS; voice above this ducks the music
+        duckAmount: 12, // dB the music drops while the voice is speaking
+        includeInDownload: false, // Also mix the music into the audio download
+    };
+    const MUSIC_DUCK_ATTACK = 0.08; // Seconds (time constant) for the music to duck
+    const MUSIC_DUCK_RELEASE = 0.4; // Seconds (time constant) for the music to come back
+    const MUSIC_DUCK_HOLD = 0.6; // Seconds; shorter pauses in the voice keep the music ducked
+
     // Default filenames
     const DEFAULT_AUDIO_FILENAME_BASE = "recorded_audio";
     const DEFAULT_VIDEO_FILENAME_BASE = "generated_video";
     const DEFAULT_TRANSCRIPT_FILENAME_BASE = "transcript";
+    const DEFAULT_TEMPLATE_FILENAME_BASE = "style_template";
+
+    // Settings persistence
+    const STORAGE_KEY_PREFIX = "voiceToVideo.";
+
+    // Transcription providers
+    const DEFAULT_TRANSCRIPTION_SETTINGS = {
+        provider: "browser",
+        language: "en-US", // BCP 47 tag; also tags each transcript segment
+        whisperEndpoint: "http://127.0.0.1:8080/inference", // whisper.cpp server default
+        whisperModel: "",
+        whisperApiKey: "", // Kept in memory only, unless whisperRememberKey is set
+        whisperRememberKey: false, // Store the key in localStorage (plain text) between visits
+        whisperConvertToWav: true, // whisper.cpp only decodes WAV/MP3/FLAC unless built with ffmpeg
+    };
+    const WHISPER_SAMPLE_RATE = 16000; // Whisper models work on 16 kHz mono audio
+    const TRANSCRIPTION_TIMEOUT = 10 * 60 * 1000; // ms; long files on a CPU-only whisper.cpp server can take minutes
+
+    // Recognition languages offered in the language selector
+    const RECOGNITION_LANGUAGES = [
+        { code: "en-US", label: "English (US)" },
+        { code: "en-GB", label: "English (UK)" },
+        { code: "en-IN", label: "English (India)" },
+        { code: "es-ES", label: "Español (España)" },
+        { code: "es-MX", label: "Español (México)" },
+        { code: "fr-FR", label: "Français" },
+        { code: "de-DE", label: "Deutsch" },
+        { code: "it-IT", label: "Italiano" },
+        { code: "pt-BR", label: "Português (Brasil)" },
+        { code: "ru-RU", label: "Русский" },
+        { code: "hi-IN", label: "हिन्दी" },
+        { code: "bn-IN", label: "বাংলা" },
+        { code: "ta-IN", label: "தமிழ்" },
+        { code: "ar-SA", label: "العربية" },
+        { code: "he-IL", label: "עברית" },
+        { code: "th-TH", label: "ไทย" },
+        { code: "zh-CN", label: "中文 (简体)" },
+        { code: "zh-TW", label: "中文 (繁體)" },
+        { code: "ja-JP", label: "日本語" },
+        { code: "ko-KR", label: "한국어" },
+    ];
+
+    // Canvas caption fonts. Archivo covers Latin only, so the canvas falls back glyph by glyph
+    // through the Noto families loaded in index.html. Han characters look different per language,
+    // so the CJK family matching the language goes first.
+    const CAPTION_SCRIPT_FONTS = ["'Noto Sans'", "'Noto Sans Arabic'", "'Noto Sans Hebrew'", "'Noto Sans Devanagari'", "'Noto Sans Bengali'", "'Noto Sans Tamil'", "'Noto Sans Thai'"];
+    const CAPTION_CJK_FONTS = { ja: "'Noto Sans JP'", ko: "'Noto Sans KR'", "zh-TW": "'Noto Sans TC'", zh: "'Noto Sans SC'" };
+
+    // Audio files accepted by import (extension -> MIME type used when the browser reports none)
+    const IMPORTABLE_AUDIO_TYPES = {
+        ".webm": "audio/webm",
+        ".ogg": "audio/ogg",
+        ".mp3": "audio/mpeg",
+        ".wav": "audio/wav",
+        ".m4a": "audio/mp4",
+    };
+
+    // Audio download formats, keyed by the audioFormatSelect values ("original" saves the blob as is)
+    const AUDIO_EXPORT_FORMATS = {
+        original: null,
+        wav: { extension: ".wav" }, // 16-bit PCM
+        mp3: { extension: ".mp3" },
+    };
+    const MP3_BITRATES = [96, 128, 192, 256, 320]; // kbps
+    const DEFAULT_MP3_BITRATE = 192;
+    const MP3_SAMPLE_RATES = [32000, 44100, 48000]; // MPEG-1 rates; anything else is resampled to 44.1 kHz
+    const MP3_FRAME_SIZE = 1152; // Samples per MPEG-1 Layer III frame
+
+    // Transcript export formats, keyed by the transcriptFormatSelect values
+    const TRANSCRIPT_EXPORT_FORMATS = {
+        txt: { extension: ".txt", mimeType: "text/plain;charset=utf-8" },
+        srt: { extension: ".srt", mimeType: "application/x-subrip;charset=utf-8" },
+        vtt: { extension: ".vtt", mimeType: "text/vtt;charset=utf-8" },
+        json: { extension: ".json", mimeType: "application/json;charset=utf-8" },
+    };
 
     // Preferred MIME types for recording (prioritize compatibility for decoding)
     const PREFERRED_AUDIO_MIME_TYPES = [
@@ -108,6 +604,68 @@ document.addEventListener("DOMContentLoaded", function () {
         return `${minutes}:${remaining.toString().padStart(2, "0")}`;
     }
 
+    // Formats time in seconds to HH:MM:SS<separator>mmm (SRT uses ",", WebVTT uses ".")
+    function formatTimestamp(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${hours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}:${secs.toString().padStart(2, "0")}${separator}${ms.toString().padStart(3, "0")}`;
+    }
+
+    // Maps an audio MIME type to a file extension (".bin" if unknown)
+    function getExtensionForAudioType(type) {
+        if (type.includes("mpeg") || type.includes("mp3")) return ".mp3";
+        if (type.includes("m4a")) return ".m4a";
+        if (type.includes("mp4")) return ".mp4";
+        if (type.includes("webm")) return ".webm";
+        if (type.includes("ogg")) return ".ogg";
+        if (type.includes("wav")) return ".wav";
+        return ".bin";
+    }
+
+    // Reads a settings object from localStorage, filling in defaults for anything missing
+    function loadStoredSettings(name, defaults) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + name) || "{}");
+            return { ...defaults, ...stored };
+        } catch (e) {
+            console.warn(`Could not read stored settings "${name}":`, e);
+            return { ...defaults };
+        }
+    }
+
+    // Writes a settings object to localStorage (failures, e.g. private mode, are only logged)
+    function saveStoredSettings(name, settings) {
+        try {
+            localStorage.setItem(STORAGE_KEY_PREFIX + name, JSON.stringify(settings));
+        } catch (e) {
+            console.warn(`Could not store settings "${name}":`, e);
+        }
+    }
+
+    // Coerces a stored or imported number into its range input's min..max, or `fallback` when it isn't a number
+    function clampToInput(value, input, fallback) {
+        const number = typeof value === "number" || (typeof value === "string" && value.trim()) ? Number(value) : NaN;
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(Number(input.max), Math.max(Number(input.min), number));
+    }
+
+    // Primary language subtag of a BCP 47 tag ("es-MX" -> "es")
+    function getPrimaryLanguage(lang) {
+        return (lang || "").split("-")[0].toLowerCase();
+    }
+
+    // Canvas font-family stack for captions in the given language, led by the chosen caption font
+    function getCaptionFontStack(lang, family = DEFAULT_CAPTION_SETTINGS.fontFamily) {
+        const primary = getPrimaryLanguage(lang);
+        const preferredCjk = CAPTION_CJK_FONTS[lang] || CAPTION_CJK_FONTS[primary];
+        const cjkFonts = [...new Set([preferredCjk, ...Object.values(CAPTION_CJK_FONTS)].filter(Boolean))];
+        const primaryFont = CAPTION_FONT_FAMILIES[family] || CAPTION_FONT_FAMILIES[DEFAULT_CAPTION_SETTINGS.fontFamily];
+        return [primaryFont, ...CAPTION_SCRIPT_FONTS, ...cjkFonts, "sans-serif"].join(", ");
+    }
+
     // Sanitizes input text for filenames and appends extension
     function getSanitizedFilename(inputElement, defaultBaseName, extension) {
         let filename = inputElement?.value.trim() || defaultBaseName; // Use optional chaining and fallback
@@ -172,6 +730,8 @@ document.addEventListener("DOMContentLoaded", function () {
         // --- Button States ---
         startBtn.disabled = !isIdle || isProcessing;
         stopBtn.disabled = !isRecordingState || isProcessingStop;
+        // Import replaces the current audio, so it is only blocked while busy
+        importBtn.disabled = isRecordingState || isProcessing;
         // Reset/ClearUI require some data AND not be recording/processing
         resetBtn.disabled = (isIdle && !audioBlob && !subtitle.value.trim()) || isProcessing || isRecordingState;
         clearUIBtn.disabled = (isIdle && !audioBlob && !subtitle.value.trim()) || isProcessing || isRecordingState;
@@ -179,10 +739,24 @@ document.addEventListener("DOMContentLoaded", function () {
         playPauseBtn.disabled = !isRecorded || isProcessing || !wavesurfer?.isReady; // Use optional chaining
         // Download requires recorded state and audio data
         downloadBtn.disabled = !isRecorded || isProcessing || !audioBlob;
+        // Transcription needs audio and a provider that can transcribe files (not live-only)
+        const provider = getTranscriptionProvider();
+        transcribeBtn.disabled = !isRecorded || isProcessing || !audioBlob || !provider.transcribe || !provider.isAvailable();
+        transcribeBtn.title = provider.transcribe ? "" : `${provider.label} only transcribes while recording.`;
+        // Subtitle import pairs cues with loaded audio, so it needs the recorded state
+        importSubtitlesBtn.disabled = !isRecorded || isProcessing;
+        // Silence removal re-encodes the loaded audio
+        removeSilenceBtn.disabled = !isRecorded || isProcessing || !audioBlob || !hasAudioContext;
+        // A/B compares the player's audio with the cleaned-up voice
+        abToggleBtn.disabled = !isRecorded || isProcessing || !wavesurfer?.isReady || !hasAudioContext;
         // Export requires recorded state and transcription text
         exportBtn.disabled = !isRecorded || isProcessing || !subtitle.value.trim();
         // Video requires recorded state, audio, transcription, and browser features
-        videoBtn.disabled = !isRecorded || isProcessing || !audioBlob || !subtitle.value.trim() || !hasCanvasCaptureStream || !hasAudioContext;
+        videoBtn.disabled = !isRecorded || isProcessing || !audioBlob || !subtitle.value.trim() || !hasAudioContext
+            || (!canRenderVideoOffline() && (!hasCanvasCaptureStream || !hasMediaRecorder));
+        // Poster frames only need the preview; GIFs also need audio on the waveform to cover
+        savePosterBtn.disabled = isRecordingState || isProcessing;
+        saveGifBtn.disabled = !isRecorded || isProcessing || !wavesurfer?.isReady;
 
         // --- UI Element States ---
         subtitle.readOnly = isRecordingState || isProcessing; // Read-only during recording/processing
@@ -196,7 +770,7 @@ document.addEventListener("DOMContentLoaded", function () {
         if (isProcessing) {
             showStatus("⏳ Processing... Please wait.", "processing", 0); // Sticky status
         } else if (isIdle) {
-            showStatus("Ready. Click 'Start Recording' to begin.", "info"); // Info status with duration
+            showStatus("Ready. Click 'Start Recording' or import an audio file to begin.", "info"); // Info status with duration
             // Update subtitle placeholder based on core API and context availability
             const canRecord = hasMediaDevices && hasMediaRecorder && isSecureContext;
             subtitle.placeholder = canRecord
@@ -206,195 +780,1368 @@ document.addEventListener("DOMContentLoaded", function () {
          // For 'recorded' state, status is typically set by the onstop/ready handlers (e.g., "Audio processed", "Waveform unavailable")
     }
 
-    // --- Video Resource Cleanup Function ---
-    // Consolidates the cleanup logic for video generation resources
-    function cleanupVideoResources() {
-        console.log("Cleaning up video generation resources.");
-        // Stop and disconnect AudioBufferSourceNode
-        if (bufferSourceNodeForVideo) {
-            try { bufferSourceNodeForVideo.stop(); } catch (e) { console.warn("Error stopping bufferSourceNodeForVideo:", e); } // Stop might throw if already stopped
-            try { bufferSourceNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting bufferSourceNodeForVideo:", e); }
-             bufferSourceNodeForVideo = null; // Clear reference
-        }
-        // Disconnect MediaStreamDestination node
-        if (destinationNodeForVideo) {
-            try { destinationNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting destinationNodeForVideo:", e); }
-             destinationNodeForVideo = null; // Clear reference
-        }
-        // Close the AudioContext gracefully
-        if (audioContextForVideo && audioContextForVideo.state !== 'closed') {
-            console.log("Attempting to close AudioContext for video.");
-            audioContextForVideo.close().then(() => {
-                audioContextForVideo = null;
-                console.log("AudioContext for video closed.");
-            }).catch(e => {
-                console.warn("Error closing AudioContext for video:", e);
-                audioContextForVideo = null; // Still clear the reference on error
+    // =====================
+    // Caption Timing
+    // =====================
+    // Seconds elapsed since the MediaRecorder started (0 before recording)
+    function getRecordingOffset() {
+        return recordingStartTime ? Math.max(0, (performance.now() - recordingStartTime) / 1000) : 0;
+    }
+
+    // Collapses whitespace so recognized and edited text can be compared
+    function normalizeText(text) {
+        return text.replace(/\s+/g, " ").trim();
+    }
+
+    // Splits text into caption-sized phrases: breaks at sentence ends, then caps the word count
+    function splitIntoPhrases(text) {
+        const phrases = [];
+        normalizeText(text).split(/(?<=[.!?])\s+/).forEach((sentence) => {
+            const words = sentence.split(" ").filter(Boolean);
+            if (!words.length) return;
+            // Evenly sized chunks avoid a one-word tail phrase
+            const chunkSize = Math.ceil(words.length / Math.ceil(words.length / MAX_CAPTION_WORDS));
+            for (let i = 0; i < words.length; i += chunkSize) {
+                phrases.push(words.slice(i, i + chunkSize).join(" "));
+            }
+        });
+        return phrases;
+    }
+
+    // Spreads phrases across [start, end], giving each a share proportional to its length
+    function distributePhrases(phrases, start, end) {
+        const totalChars = phrases.reduce((sum, phrase) => sum + phrase.length, 0) || 1;
+        let cursor = start;
+        return phrases.map((phrase) => {
+            const cueDuration = (end - start) * (phrase.length / totalChars);
+            const cue = { text: phrase, start: cursor, end: cursor + cueDuration };
+            cursor += cueDuration;
+            return cue;
+        });
+    }
+
+    // Returns timed segments for a transcript: the transcript segments (clamped to the duration)
+    // when they match the transcript text, otherwise phrases estimated across the audio duration.
+    // With trim spans, timed segments are moved onto the trimmed timeline and `duration` is its length.
+    function getTimedSegments(transcript, duration, spans = null) {
+        if (transcriptSegments.length && getSegmentsText() === normalizeText(transcript)) {
+            console.log(`Using ${transcriptSegments.length} timed transcript segments.`);
+            return (spans ? trimSegments(transcriptSegments, spans) : transcriptSegments).map((segment) => {
+                const start = Math.min(segment.start, duration);
+                return { ...segment, start, end: Math.min(Math.max(segment.end, start), duration) };
             });
-        } else {
-             audioContextForVideo = null; // Ensure it's null if it was already closed or null
         }
-        // Cancel the canvas animation frame
-        if (canvasAnimationId) { cancelAnimationFrame(canvasAnimationId); canvasAnimationId = null; }
+        console.log("No matching segment timings. Estimating across the audio duration.");
+        return distributePhrases(splitIntoPhrases(transcript), 0, duration)
+            .map((phrase) => ({ ...phrase, confidence: null, lang: transcriptionSettings.language }));
     }
-    // --- End Video Resource Cleanup Function ---
 
+    // Pairs each word of a caption with its timing and its character offset in the text.
+    // Without word timings, the caption's time is spread across its words by length.
+    function getCueWords(text, start, end, timings = null) {
+        const words = text.split(" ");
+        const times = timings || distributePhrases(words, start, end);
+        let offset = 0;
+        return words.map((word, i) => {
+            const timed = { text: word, start: times[i].start, end: times[i].end, offset };
+            offset += word.length + 1;
+            return timed;
+        });
+    }
 
-    // Resets the application state and UI. Optionally preserves recorded audio/transcript.
-    function resetApp(preserveAudio = false) {
-        console.log("Resetting application. Preserve audio:", preserveAudio);
-        isRecording = false;
-        isProcessingStop = false;
+    // Builds the timed caption list for a transcript, splitting segments into caption-sized phrases.
+    // Every cue carries word timings for the caption animations: the segment's own word timestamps
+    // when they still match its text, otherwise interpolated from the phrase timing.
+    function buildCaptionCues(transcript, duration, spans = null) {
+        const cues = getTimedSegments(transcript, duration, spans).flatMap((segment) => {
+            const lang = segment.lang || transcriptionSettings.language;
+            const phrases = splitIntoPhrases(segment.text);
+            const wordCount = phrases.reduce((sum, phrase) => sum + phrase.split(" ").length, 0);
+            if (segment.words?.length !== wordCount) {
+                return distributePhrases(phrases, segment.start, segment.end)
+                    .map((cue) => ({ ...cue, lang, words: getCueWords(cue.text, cue.start, cue.end) }));
+            }
+            let next = 0;
+            return phrases.map((text) => {
+                const timings = segment.words.slice(next, next += text.split(" ").length);
+                const start = timings[0].start;
+                const end = Math.max(start, timings[timings.length - 1].end);
+                return { text, start, end, lang, words: getCueWords(text, start, end, timings) };
+            });
+        });
+
+        // Keep a phrase on screen through short pauses instead of flashing an empty frame
+        cues.forEach((cue, i) => {
+            const next = cues[i + 1];
+            if (next && next.start - cue.end < CAPTION_GAP_BRIDGE) cue.end = Math.max(cue.end, next.start);
+        });
+        return cues;
+    }
 
-        // Stop MediaRecorder if active and clear reference
-        if (mediaRecorder?.state !== "inactive") { // Use optional chaining
-            try { mediaRecorder?.stop(); } catch (e) { console.warn("Error stopping MediaRecorder during reset:", e); }
+    // =====================
+    // Transcript Segments
+    // =====================
+    // Joined text of all transcript segments, normalized for comparison
+    function getSegmentsText() {
+        return normalizeText(transcriptSegments.map((segment) => segment.text).join(" "));
+    }
+
+    // Comparison key for a word, so case and punctuation fixes don't count as new words
+    function wordKey(word) {
+        return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+    }
+
+    // Matches words between two word lists (longest common subsequence).
+    // Returns an array mapping each index of newWords to its index in oldWords, or -1 if unmatched.
+    function alignWords(oldWords, newWords) {
+        const matches = new Array(newWords.length).fill(-1);
+        const rows = oldWords.length + 1;
+        const cols = newWords.length + 1;
+        if (rows * cols > MAX_SEGMENT_ALIGN_CELLS) {
+            console.warn("Transcript edit too large to align word by word.");
+            return matches;
         }
-        mediaRecorder = null;
+        // table[i][j] = LCS length of oldWords[i..] and newWords[j..]
+        const table = new Uint32Array(rows * cols);
+        for (let i = oldWords.length - 1; i >= 0; i--) {
+            for (let j = newWords.length - 1; j >= 0; j--) {
+                table[i * cols + j] = oldWords[i] === newWords[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < oldWords.length && j < newWords.length) {
+            if (oldWords[i] === newWords[j]) { matches[j] = i; i++; j++; }
+            else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) i++;
+            else j++;
+        }
+        return matches;
+    }
 
-        // Abort Speech Recognition if active
-        if (recognition?.state !== 'idle') { // Use optional chaining and check state
-            try { recognition?.abort(); } catch (e) { console.warn("Error aborting SpeechRecognition during reset:", e); }
+    // Re-aligns transcriptSegments with edited transcript text. Words kept from the previous text
+    // stay in their segment, inserted words join the segment of the word before them, and
+    // segments that lose all of their words are dropped. Timings are left untouched.
+    function syncSegmentsWithText(text) {
+        if (!transcriptSegments.length) return;
+        const newWords = normalizeText(text).split(" ").filter(Boolean);
+        const newKeys = newWords.map(wordKey);
+        const oldKeys = [];
+        const oldSegmentIndexes = [];
+        transcriptSegments.forEach((segment, segmentIndex) => {
+            segment.text.split(" ").filter(Boolean).forEach((word) => {
+                oldKeys.push(wordKey(word));
+                oldSegmentIndexes.push(segmentIndex);
+            });
+        });
+
+        // Typical edits touch one spot, so only diff the part between the common prefix and suffix
+        let prefix = 0;
+        while (prefix < oldKeys.length && prefix < newKeys.length && oldKeys[prefix] === newKeys[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < oldKeys.length - prefix && suffix < newKeys.length - prefix
+            && oldKeys[oldKeys.length - 1 - suffix] === newKeys[newKeys.length - 1 - suffix]) suffix++;
+
+        const assigned = new Array(newWords.length).fill(-1);
+        for (let k = 0; k < prefix; k++) assigned[k] = oldSegmentIndexes[k];
+        for (let k = 1; k <= suffix; k++) assigned[newKeys.length - k] = oldSegmentIndexes[oldKeys.length - k];
+        const middleMatches = alignWords(oldKeys.slice(prefix, oldKeys.length - suffix), newKeys.slice(prefix, newKeys.length - suffix));
+        middleMatches.forEach((oldIndex, k) => {
+            if (oldIndex !== -1) assigned[prefix + k] = oldSegmentIndexes[prefix + oldIndex];
+        });
+
+        const firstKept = assigned.find((segmentIndex) => segmentIndex !== -1);
+        if (firstKept === undefined) {
+            console.log("Transcript rewritten entirely. Dropping segment timings.");
+            transcriptSegments = [];
+            return;
         }
-        // The 'recognition' instance itself is kept for potential reuse.
+        // Unmatched words follow the previous word's segment (leading ones join the first kept segment)
+        let current = firstKept;
+        const wordsBySegment = new Map();
+        newWords.forEach((word, k) => {
+            if (assigned[k] !== -1) current = assigned[k];
+            if (!wordsBySegment.has(current)) wordsBySegment.set(current, []);
+            wordsBySegment.get(current).push(word);
+        });
+        transcriptSegments = transcriptSegments
+            .map((segment, segmentIndex) => wordsBySegment.has(segmentIndex)
+                ? { ...segment, text: wordsBySegment.get(segmentIndex).join(" ") }
+                : null)
+            .filter(Boolean);
+    }
 
-        // Stop media stream tracks and clear reference
-        stream?.getTracks().forEach((track) => track.stop());
-        stream = null;
+    // Returns the caption cue active at the given time, or null during silence
+    function findCueAt(cues, time) {
+        return cues.find((cue) => time >= cue.start && time < cue.end) || null;
+    }
 
-        // Clear audio data chunks from the last recording
-        audioChunks = [];
+    // Duration of the loaded audio in seconds, decoding the blob if no player reported it yet
+    async function getAudioDuration() {
+        if (loadedAudioDuration > 0) return loadedAudioDuration;
+        if (!audioBlob || !hasAudioContext) return 0;
+        loadedAudioDuration = (await decodeAudioBlob(audioBlob)).duration;
+        return loadedAudioDuration;
+    }
 
-        if (!preserveAudio) {
-            // Clear transcript data
-            finalTranscript = "";
-            subtitle.value = "";
-            // Revoke audio object URL (if created) and clear audio blob
-            if (audioUrl) { URL.revokeObjectURL(audioUrl); audioUrl = null; }
-            audioBlob = null;
-            supportedAudioType = ""; // Clear recorded type
+    // =====================
+    // Audio Decoding & Encoding
+    // =====================
+    // Decodes an audio blob into an AudioBuffer using a short-lived AudioContext
+    async function decodeAudioBlob(blob) {
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            return await context.decodeAudioData(await blob.arrayBuffer());
+        } finally {
+            context.close().catch((e) => console.warn("Error closing AudioContext used for decoding:", e));
         }
+    }
 
-        // Update subtitle placeholder based on API availability
-        const canRecord = hasMediaDevices && hasMediaRecorder && isSecureContext;
-         subtitle.placeholder = canRecord
-            ? (hasSpeechRecognition ? 'Click "Start Recording" to begin speaking.' : 'Click "Start Recording" to record audio.')
-            : "⚠️ Recording may not be possible (check HTTPS/localhost & browser features). Click Start to verify.";
+    // Copies an AudioBuffer into a longer one with `before` and `after` seconds of silence around it
+    function padAudioBuffer(audioBuffer, before, after) {
+        if (!(before > 0) && !(after > 0)) return audioBuffer;
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const offset = Math.round(Math.max(0, before) * sampleRate);
+        const length = offset + audioBuffer.length + Math.round(Math.max(0, after) * sampleRate);
+        const padded = new AudioBuffer({ length, numberOfChannels, sampleRate });
+        for (let c = 0; c < numberOfChannels; c++) padded.copyToChannel(audioBuffer.getChannelData(c), c, offset);
+        return padded;
+    }
 
-        // Reset audio duration display
-        audioDurationSpan.textContent = "0:00";
-        // Reset playback button text
-        playPauseBtn.textContent = "Play";
+    // Renders an AudioBuffer at a new sample rate and channel count (downmixing as needed)
+    function resampleAudioBuffer(audioBuffer, sampleRate, channels) {
+        const offline = new OfflineAudioContext(channels, Math.max(1, Math.ceil(audioBuffer.duration * sampleRate)), sampleRate);
+        const source = offline.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(offline.destination);
+        source.start();
+        return offline.startRendering();
+    }
 
-        // Reset/Clear WaveSurfer instance state
-        if (wavesurfer) {
-            try {
-                if (wavesurfer.isPlaying()) wavesurfer.stop(); // Stop playback
-                // Clear waveform display if not preserving audio or if audioBlob is null
-                if (!preserveAudio || !audioBlob) wavesurfer.empty();
-                // Reset the custom ready state flag
-                wavesurfer.isReady = preserveAudio && audioBlob && wavesurfer.isReady; // Keep ready state only if preserving audio AND it was already ready
-                 console.log("WaveSurfer reset state.");
-            } catch (e) { console.warn("Error resetting WaveSurfer:", e); }
-            // The wavesurfer instance itself is generally preserved unless critically failed.
+    // Encodes an AudioBuffer as a 16-bit PCM WAV blob
+    function encodeWav(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        const { sampleRate, length } = audioBuffer;
+        const dataSize = length * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeAscii = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+        writeAscii(0, "RIFF");
+        view.setUint32(4, 36 + dataSize, true);
+        writeAscii(8, "WAVE");
+        writeAscii(12, "fmt ");
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channels * 2, true); // Byte rate
+        view.setUint16(32, channels * 2, true); // Block align
+        view.setUint16(34, 16, true); // Bits per sample
+        writeAscii(36, "data");
+        view.setUint32(40, dataSize, true);
+
+        const channelData = Array.from({ length: channels }, (_, c) => audioBuffer.getChannelData(c));
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
         }
+        return new Blob([view.buffer], { type: "audio/wav" });
+    }
 
-        // Clean up video generation resources using the dedicated function
-        cleanupVideoResources();
+    // Encodes an AudioBuffer as a constant-bitrate MP3 blob with lamejs (mono or stereo).
+    // Yields to the page between chunks, since encoding takes a while for long recordings.
+    async function encodeMp3(audioBuffer, kbps) {
+        let source = audioBuffer;
+        if (!MP3_SAMPLE_RATES.includes(source.sampleRate) || source.numberOfChannels > 2) {
+            source = await resampleAudioBuffer(source, MP3_SAMPLE_RATES.includes(source.sampleRate) ? source.sampleRate : 44100, Math.min(2, source.numberOfChannels));
+        }
+        const channels = source.numberOfChannels;
+        const toInt16 = (samples) => Int16Array.from(samples, (sample) => {
+            const clamped = Math.max(-1, Math.min(1, sample));
+            return clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+        });
+        const pcm = Array.from({ length: channels }, (_, c) => toInt16(source.getChannelData(c)));
+        const encoder = new lamejs.Mp3Encoder(channels, source.sampleRate, kbps);
+        const parts = [];
+        let lastYieldTime = performance.now();
+        for (let i = 0; i < source.length; i += MP3_FRAME_SIZE) {
+            const left = pcm[0].subarray(i, i + MP3_FRAME_SIZE);
+            const right = channels > 1 ? pcm[1].subarray(i, i + MP3_FRAME_SIZE) : undefined;
+            const data = encoder.encodeBuffer(left, right);
+            if (data.length) parts.push(data);
+            if (performance.now() - lastYieldTime > OFFLINE_YIELD_INTERVAL) {
+                await new Promise((resolve) => setTimeout(resolve, 0));
+                lastYieldTime = performance.now();
+            }
+        }
+        const tail = encoder.flush();
+        if (tail.length) parts.push(tail);
+        return new Blob(parts, { type: "audio/mpeg" });
+    }
 
-        // Clear any pending status message timeout and the status div
-        if (statusTimeoutId) { clearTimeout(statusTimeoutId); statusTimeoutId = null; }
-         statusDiv.className = "status info";
-         statusDiv.textContent = "";
+    // =====================
+    // Trim Regions
+    // =====================
+    // Spans of the source audio that go into the video: the keep region (or everything) minus the
+    // cut regions, in order. Returns null when no regions are marked.
+    function computeTrimSpans(regions, duration) {
+        if (!regions.length) return null;
+        const keep = regions.find((region) => region.trimKind === "keep");
+        let spans = [{ start: keep ? keep.start : 0, end: keep ? Math.min(keep.end, duration) : duration }];
+        regions.filter((region) => region.trimKind === "cut").forEach((cut) => {
+            spans = spans.flatMap((span) => [
+                { start: span.start, end: Math.min(span.end, cut.start) },
+                { start: Math.max(span.start, cut.end), end: span.end },
+            ]).filter((span) => span.end - span.start >= MIN_TRIM_SPAN);
+        });
+        return spans.sort((a, b) => a.start - b.start);
+    }
 
-        // Update button states based on whether audio was preserved
-        showStatus("Application reset.", "info", 2000);
-        updateButtonStates(audioBlob && preserveAudio ? "recorded" : "idle");
+    // Trim spans for the regions currently drawn on the waveform
+    function getTrimSpans(duration) {
+        return computeTrimSpans(regionsPlugin?.getRegions() || [], duration);
     }
 
-    // Starts the audio recording process
-    async function startRecording() {
-        // --- Initial API and context checks ---
-        // Combine checks for clarity
-        if (!hasMediaDevices || !hasMediaRecorder || !isSecureContext) {
-            const errorMessage = !hasMediaDevices || !hasMediaRecorder
-                ? "Required browser features (MediaDevices or MediaRecorder API) are not available or not supported.\n\nPlease use a modern browser (like Chrome, Firefox, Edge, Safari)."
-                : "Microphone access requires a secure connection (HTTPS) or for the page to be served from localhost.";
-            alert(`Recording is not possible:\n${errorMessage}`);
-            console.error(`Start recording aborted: ${errorMessage}`);
-            return; // Stop the start process
+    // Maps segments onto the trimmed timeline: segments with no kept audio are dropped, the rest
+    // shift left by the audio removed before them
+    function trimSegments(segments, spans) {
+        return segments.flatMap((segment) => {
+            let start = null;
+            let end = null;
+            let offset = 0; // Start of the current span on the trimmed timeline
+            spans.forEach((span) => {
+                const overlapStart = Math.max(segment.start, span.start);
+                const overlapEnd = Math.min(segment.end, span.end);
+                const isInstant = segment.start === segment.end && segment.start >= span.start && segment.start < span.end;
+                if (overlapStart < overlapEnd || isInstant) {
+                    if (start === null) start = offset + overlapStart - span.start;
+                    end = offset + overlapEnd - span.start;
+                }
+                offset += span.end - span.start;
+            });
+            if (start === null) return [];
+            // Word timestamps move with the segment; cut words make the count differ, so captions interpolate instead
+            return [segment.words ? { ...segment, start, end, words: trimSegments(segment.words, spans) } : { ...segment, start, end }];
+        });
+    }
+
+    // Joins the spans of an AudioBuffer into a new buffer, with short fades where audio was cut
+    function trimAudioBuffer(audioBuffer, spans) {
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const ranges = spans.map((span) => [Math.round(span.start * sampleRate), Math.min(audioBuffer.length, Math.round(span.end * sampleRate))]);
+        const length = Math.max(1, ranges.reduce((sum, [from, to]) => sum + Math.max(0, to - from), 0));
+        const trimmed = new AudioBuffer({ length, numberOfChannels, sampleRate });
+        const fadeLength = Math.round(TRIM_FADE_DURATION * sampleRate);
+        for (let c = 0; c < numberOfChannels; c++) {
+            const source = audioBuffer.getChannelData(c);
+            const output = trimmed.getChannelData(c);
+            let offset = 0;
+            ranges.forEach(([from, to], i) => {
+                if (to <= from) return;
+                output.set(source.subarray(from, to), offset);
+                const fade = Math.min(fadeLength, Math.floor((to - from) / 2));
+                for (let k = 0; k < fade; k++) {
+                    if (i > 0) output[offset + k] *= k / fade; // Fade in after a cut
+                    if (i < ranges.length - 1) output[offset + (to - from) - 1 - k] *= k / fade; // Fade out before one
+                }
+                offset += to - from;
+            });
         }
-        // --- END Initial API Checks ---
+        return trimmed;
+    }
 
-        console.log("Attempting to start recording...");
-        // Prevent starting if already recording or processing a stop
-        if (isRecording || isProcessingStop) {
-            showStatus("Cannot start recording: Already recording or processing.", "warning");
-            return; // Stop the start process
+    // Applies the waveform's trim regions to decoded audio. Spans are null when nothing is trimmed.
+    function applyTrimRegions(audioBuffer) {
+        const spans = getTrimSpans(audioBuffer.duration);
+        if (!spans) return { audioBuffer, spans: null };
+        if (!spans.length) throw new Error("The trim regions leave no audio to render.");
+        const trimmed = trimAudioBuffer(audioBuffer, spans);
+        console.log(`Trimmed audio to ${spans.length} section(s), ${trimmed.duration.toFixed(2)}s of ${audioBuffer.duration.toFixed(2)}s.`);
+        return { audioBuffer: trimmed, spans };
+    }
+
+    // Shows how much of the audio the video will contain
+    function updateTrimSummary() {
+        const spans = getTrimSpans(loadedAudioDuration);
+        if (!spans) {
+            trimSummary.textContent = "Output: full audio";
+            return;
         }
+        const total = spans.reduce((sum, span) => sum + span.end - span.start, 0);
+        trimSummary.textContent = `Output: ${formatTime(total)} from ${spans.length} section${spans.length === 1 ? "" : "s"}`;
+    }
 
-        resetApp(false); // Perform a full reset before starting a new recording
+    // Tags a region dragged on the waveform as "keep" or "cut". There is one keep range at most.
+    function onRegionCreated(region) {
+        region.trimKind = region.trimKind || regionModeSelect.value; // Custom property, like wavesurfer.isReady
+        region.setOptions({ color: region.trimKind === "keep" ? TRIM_KEEP_COLOR : TRIM_CUT_COLOR });
+        if (region.trimKind === "keep") {
+            regionsPlugin.getRegions().filter((other) => other !== region && other.trimKind === "keep").forEach((other) => other.remove());
+        }
+        console.log(`Trim region created (${region.trimKind}): ${region.start.toFixed(2)}s - ${region.end.toFixed(2)}s`);
+        updateTrimSummary();
+    }
 
-        isRecording = true; // Set state flag early
+    // =====================
+    // Silence Removal
+    // =====================
+    // Finds the sound in an AudioBuffer and returns the spans to keep: leading and trailing silence
+    // trimmed to a short margin, and pauses longer than maxPause (seconds) shortened to maxPause.
+    function detectSoundSpans(audioBuffer, thresholdDb, maxPause) {
+        const { sampleRate, length, numberOfChannels, duration } = audioBuffer;
+        const windowSize = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW));
+        const threshold = 10 ** (thresholdDb / 20); // dBFS to linear RMS
+        const channelData = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+
+        // Runs of windows whose loudest channel is above the threshold
+        const sounds = [];
+        for (let from = 0; from < length; from += windowSize) {
+            const to = Math.min(length, from + windowSize);
+            const rms = Math.max(...channelData.map((samples) => {
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+                return Math.sqrt(sum / (to - from));
+            }));
+            if (rms < threshold) continue;
+            const last = sounds[sounds.length - 1];
+            if (last && last.end === from / sampleRate) last.end = to / sampleRate;
+            else sounds.push({ start: from / sampleRate, end: to / sampleRate });
+        }
+        // Very short bursts are clicks (like pressing the record buttons), not speech
+        const speech = sounds.filter((sound) => sound.end - sound.start >= SILENCE_MIN_SOUND);
+        if (!speech.length) return [];
+
+        const spans = [{ start: Math.max(0, speech[0].start - SILENCE_EDGE_MARGIN), end: speech[0].end }];
+        speech.slice(1).forEach((sound) => {
+            const span = spans[spans.length - 1];
+            if (sound.start - span.end <= maxPause) {
+                span.end = sound.end; // Short pauses stay as they are
+            } else {
+                span.end += maxPause / 2; // Long pauses keep maxPause, split across the join
+                spans.push({ start: sound.start - maxPause / 2, end: sound.end });
+            }
+        });
+        spans[spans.length - 1].end = Math.min(duration, spans[spans.length - 1].end + SILENCE_EDGE_MARGIN);
+        return spans;
+    }
 
-        // --- Get Microphone Access ---
+    // Removes silence from the loaded audio, retimes the transcript and reloads the result as WAV
+    async function removeSilence() {
+        if (!audioBlob || !hasAudioContext) return;
+        updateButtonStates("processing");
+        showStatus("⏳ Removing silence...", "processing", 0);
         try {
-            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            console.log("Microphone access granted.");
-        } catch (err) {
-            console.error("Microphone error:", err);
-            alert(`Microphone Access Denied or Error:\n${err.message}\n\nPlease grant microphone permission in your browser settings and try again.`);
-            isRecording = false; // Reset state flag
-            updateButtonStates("idle"); // Update UI to reflect idle state
-            return; // Stop the start process
+            const audioBuffer = await decodeAudioBlob(audioBlob);
+            const spans = detectSoundSpans(audioBuffer, silenceSettings.threshold, silenceSettings.maxPause / 1000);
+            if (!spans.length) throw new Error("No sound above the threshold. Try a lower threshold.");
+            const trimmed = trimAudioBuffer(audioBuffer, spans);
+            const removed = audioBuffer.duration - trimmed.duration;
+            if (removed < MIN_TRIM_SPAN) {
+                showStatus("No silence to remove.", "info");
+                updateButtonStates("recorded");
+                return;
+            }
+
+            // Timed segments move with the audio; typed text that was never timed is left alone
+            const isTextSynced = transcriptSegments.length > 0 && getSegmentsText() === normalizeText(subtitle.value);
+            transcriptSegments = trimSegments(transcriptSegments, spans);
+            if (isTextSynced) subtitle.value = getSegmentsText();
+
+            audioBlob = encodeWav(trimmed);
+            supportedAudioType = "audio/wav";
+            loadedAudioDuration = trimmed.duration;
+            console.log(`Removed ${removed.toFixed(2)}s of silence in ${spans.length} section(s).`);
+            loadAudioIntoPlayer(); // Sets the recorded state once the waveform is ready
+            showStatus(`✅ Removed ${formatTime(removed)} of silence. Audio is now ${formatTime(trimmed.duration)}.`, "success");
+        } catch (e) {
+            console.error("Silence removal failed:", e);
+            showStatus(`❌ Silence removal failed: ${e.message}`, "error");
+            updateButtonStates("recorded");
         }
-        // --- End Get Microphone Access ---
+    }
 
-        // --- Determine Supported Audio Format ---
-        supportedAudioType = PREFERRED_AUDIO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    // =====================
+    // Voice Cleanup
+    // =====================
+    // Renders an AudioBuffer through a chain of nodes made by `createNodes(context)`
+    function renderThroughNodes(audioBuffer, createNodes) {
+        const context = new OfflineAudioContext(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+        const source = new AudioBufferSourceNode(context, { buffer: audioBuffer });
+        [source, ...createNodes(context), context.destination].reduce((from, to) => from.connect(to));
+        source.start();
+        return context.startRendering();
+    }
 
-        if (!supportedAudioType) {
-            console.error("No supported MIME type for audio recording found.");
-            alert("Recording Error:\nNo suitable audio format is supported by this browser for recording.");
-            stream.getTracks().forEach((track) => track.stop()); // Clean up acquired stream
-            stream = null;
-            isRecording = false; updateButtonStates("idle");
-            return; // Stop the start process
+    // Turns quiet passages down by CLEANUP_GATE_REDUCTION (in place). The gate looks one window
+    // ahead so it is already open when a word starts, and fades between states to avoid clicks.
+    function applyNoiseGate(audioBuffer, thresholdDb) {
+        const { sampleRate, length, numberOfChannels } = audioBuffer;
+        const windowSize = Math.max(1, Math.round(sampleRate * CLEANUP_GATE_WINDOW));
+        const threshold = 10 ** (thresholdDb / 20);
+        const closedGain = 10 ** (CLEANUP_GATE_REDUCTION / 20);
+        const attack = Math.exp(-1 / (sampleRate * CLEANUP_GATE_ATTACK));
+        const release = Math.exp(-1 / (sampleRate * CLEANUP_GATE_RELEASE));
+        const channelData = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+
+        const windowCount = Math.ceil(length / windowSize);
+        const isOpen = new Uint8Array(windowCount);
+        for (let w = 0; w < windowCount; w++) {
+            const from = w * windowSize;
+            const to = Math.min(length, from + windowSize);
+            const rms = Math.max(...channelData.map((samples) => {
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+                return Math.sqrt(sum / (to - from));
+            }));
+            isOpen[w] = rms >= threshold ? 1 : 0;
         }
-        console.log(`Using audio format: ${supportedAudioType}`);
-        // --- End Determine Supported Audio Format ---
 
-
-        // --- Initialize MediaRecorder ---
-        try {
-            mediaRecorder = new MediaRecorder(stream, { mimeType: supportedAudioType });
-             console.log("MediaRecorder initialized.");
-        } catch (e) {
-            console.error("MediaRecorder initialization error:", e);
-            alert(`Recorder Setup Error:\nCould not initialize the MediaRecorder.\n${e.message}`);
-            stream.getTracks().forEach((track) => track.stop()); // Clean up acquired stream
-            stream = null;
-            isRecording = false; updateButtonStates("idle");
-            return; // Stop the start process
+        let gain = closedGain;
+        for (let i = 0; i < length; i++) {
+            const w = Math.floor(i / windowSize);
+            const target = isOpen[w] || isOpen[w + 1] ? 1 : closedGain;
+            gain = target + (target > gain ? attack : release) * (gain - target);
+            for (let c = 0; c < numberOfChannels; c++) channelData[c][i] *= gain;
         }
-        // --- End Initialize MediaRecorder ---
+        return audioBuffer;
+    }
 
+    // Integrated loudness in LUFS (ITU-R BS.1770): K-weighted, 400 ms blocks, absolute and relative gates
+    async function measureLoudness(audioBuffer) {
+        const weighted = await renderThroughNodes(audioBuffer, (context) => [
+            new BiquadFilterNode(context, { type: "highshelf", frequency: 1500, gain: 4 }), // Head response
+            new BiquadFilterNode(context, { type: "highpass", frequency: 38, Q: 0.5 }), // RLB weighting
+        ]);
+        const { sampleRate, length, numberOfChannels } = weighted;
+        const blockSize = Math.round(sampleRate * LOUDNESS_BLOCK);
+        const step = Math.round(blockSize * (1 - LOUDNESS_BLOCK_OVERLAP));
+        const channelData = Array.from({ length: numberOfChannels }, (_, c) => weighted.getChannelData(c));
+        const blockPowers = [];
+        for (let from = 0; from + blockSize <= length; from += step) {
+            let power = 0;
+            channelData.forEach((samples) => {
+                let sum = 0;
+                for (let i = from; i < from + blockSize; i++) sum += samples[i] * samples[i];
+                power += sum / blockSize;
+            });
+            blockPowers.push(power);
+        }
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+        const meanOf = (powers) => powers.reduce((sum, power) => sum + power, 0) / powers.length;
+        const audible = blockPowers.filter((power) => toLufs(power) > LOUDNESS_ABSOLUTE_GATE);
+        if (!audible.length) return -Infinity;
+        const relativeGate = toLufs(meanOf(audible)) + LOUDNESS_RELATIVE_GATE;
+        const gated = audible.filter((power) => toLufs(power) > relativeGate);
+        return toLufs(meanOf(gated));
+    }
 
-        // --- MediaRecorder Event Handlers ---
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                audioChunks.push(event.data);
-                 console.log(`Data available: ${event.data.size} bytes`);
-            }
-        };
+    // High-pass, noise gate, compressor, then gain to the target loudness (kept under the peak ceiling)
+    async function cleanUpVoice(audioBuffer, settings) {
+        let processed = audioBuffer;
+        if (settings.highPass > 0) {
+            processed = await renderThroughNodes(processed, (context) => [
+                new BiquadFilterNode(context, { type: "highpass", frequency: settings.highPass, Q: Math.SQRT1_2 }),
+            ]);
+        }
+        processed = applyNoiseGate(processed, settings.gateThreshold); // In place; the decoded buffer is ours to change
+        processed = await renderThroughNodes(processed, (context) => [new DynamicsCompressorNode(context, CLEANUP_COMPRESSOR)]);
+
+        const loudness = await measureLoudness(processed);
+        if (!Number.isFinite(loudness)) return processed; // Silence: nothing to normalize
+        const channelData = Array.from({ length: processed.numberOfChannels }, (_, c) => processed.getChannelData(c));
+        const peak = Math.max(...channelData.map((samples) => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)));
+        const gain = Math.min(10 ** ((settings.targetLoudness - loudness) / 20), 10 ** (CLEANUP_PEAK_CEILING / 20) / peak);
+        channelData.forEach((samples) => { for (let i = 0; i < samples.length; i++) samples[i] *= gain; });
+        console.log(`Voice cleanup: ${loudness.toFixed(1)} LUFS -> ${(loudness + 20 * Math.log10(gain)).toFixed(1)} LUFS (target ${settings.targetLoudness}).`);
+        return processed;
+    }
 
-        mediaRecorder.onstop = () => {
-            console.log("MediaRecorder onstop triggered.");
-            isRecording = false;
-            isProcessingStop = false; // Processing of recorded data is now starting
+    // Cleaned-up version of audioBlob as WAV, rendered once per audio and settings
+    async function getCleanedAudioBlob() {
+        const { enabled, ...chain } = cleanupSettings;
+        const key = JSON.stringify(chain);
+        if (cleanedAudio?.source === audioBlob && cleanedAudio.key === key) return cleanedAudio.blob;
+        const source = audioBlob;
+        const cleaned = await cleanUpVoice(await decodeAudioBlob(source), chain);
+        cleanedAudio = { source, key, blob: encodeWav(cleaned) };
+        return cleanedAudio.blob;
+    }
 
-            stream?.getTracks().forEach((track) => track.stop()); // Ensure stream tracks are stopped
-            stream = null; // Clear stream reference
+    // The audio downloads and videos use: the cleaned-up voice when cleanup is on
+    async function getOutputAudioBlob() {
+        return cleanupSettings.enabled ? getCleanedAudioBlob() : audioBlob;
+    }
+
+    // Switches the player between the original and cleaned-up audio at the same position.
+    // The waveform keeps showing the original; only the sound changes.
+    async function toggleCleanupComparison() {
+        if (!wavesurfer?.isReady || !audioBlob) return;
+        const media = wavesurfer.getMediaElement();
+        abToggleBtn.disabled = true;
+        try {
+            if (!isPlayingCleaned) showStatus("⏳ Cleaning up voice...", "processing", 0);
+            const blob = isPlayingCleaned ? audioBlob : await getCleanedAudioBlob();
+            const time = media.currentTime;
+            const wasPlaying = !media.paused;
+            if (comparisonAudioUrl) URL.revokeObjectURL(comparisonAudioUrl);
+            comparisonAudioUrl = URL.createObjectURL(blob);
+            media.src = comparisonAudioUrl;
+            media.currentTime = time;
+            if (wasPlaying) media.play().catch((e) => console.warn("Resuming playback after A/B switch failed:", e));
+            isPlayingCleaned = !isPlayingCleaned;
+            abToggleBtn.textContent = isPlayingCleaned ? "Hearing: Cleaned" : "Hearing: Original";
+            showStatus(isPlayingCleaned ? "Playing the cleaned-up voice." : "Playing the original audio.", "info", 2000);
+        } catch (e) {
+            console.error("Voice cleanup failed:", e);
+            showStatus(`❌ Voice cleanup failed: ${e.message}`, "error");
+        } finally {
+            abToggleBtn.disabled = false;
+        }
+    }
+
+    // Returns the player to the original audio (the loaded audio changed)
+    function resetCleanupComparison() {
+        isPlayingCleaned = false;
+        if (comparisonAudioUrl) { URL.revokeObjectURL(comparisonAudioUrl); comparisonAudioUrl = null; }
+        abToggleBtn.textContent = "Hearing: Original";
+    }
+
+    // =====================
+    // Background Music
+    // =====================
+    // Decodes the chosen track into musicBuffer; it is mixed under the voice when videos are made
+    async function loadMusicFile(file) {
+        if (!file) return;
+        if (!file.type.startsWith("audio/") && !file.type.startsWith("video/")) {
+            showStatus("❌ Background music must be an audio file.", "error");
+            return;
+        }
+        showStatus(`⏳ Loading music: ${file.name}...`, "processing", 0);
+        try {
+            musicBuffer = await decodeAudioBlob(file);
+            musicFileName.textContent = file.name;
+            clearMusicBtn.disabled = false;
+            console.log(`Background music loaded: ${musicBuffer.duration.toFixed(1)}s, ${musicBuffer.numberOfChannels} ch @ ${musicBuffer.sampleRate} Hz`);
+            showStatus(`✅ Background music loaded: ${file.name}`, "success");
+        } catch (e) {
+            console.error("Background music decoding failed:", e);
+            showStatus(`❌ Could not decode background music: ${file.name}`, "error");
+        }
+    }
+
+    function clearMusic() {
+        musicBuffer = null;
+        musicFileName.textContent = "No track chosen";
+        clearMusicBtn.disabled = true;
+    }
+
+    function hasBackgroundMusic() {
+        return !!musicBuffer && musicSettings.volume > 0;
+    }
+
+    // Plays the music bed into `destination` from `when` for as long as the voice lasts: looped or
+    // played once, faded out at the end, and ducked while the voice is above the threshold.
+    // The ducking is scheduled from the voice buffer up front, so it is identical in real time and offline.
+    function connectBackgroundMusic(context, destination, voiceBuffer, when) {
+        const duration = voiceBuffer.duration;
+        const source = new AudioBufferSourceNode(context, { buffer: musicBuffer, loop: musicSettings.loop });
+        const volume = new GainNode(context, { gain: 0 });
+        const duck = new GainNode(context, { gain: 1 });
+        source.connect(volume).connect(duck).connect(destination);
+
+        const level = musicSettings.volume / 100;
+        const fadeOut = Math.min(musicSettings.fadeOut, duration);
+        volume.gain.setValueAtTime(level, when);
+        if (fadeOut > 0) {
+            volume.gain.setValueAtTime(level, when + duration - fadeOut);
+            volume.gain.linearRampToValueAtTime(0, when + duration);
+        }
+
+        const duckedGain = 10 ** (-musicSettings.duckAmount / 20);
+        const speech = musicSettings.duckAmount > 0 ? detectSoundSpans(voiceBuffer, musicSettings.duckThreshold, MUSIC_DUCK_HOLD) : [];
+        speech.forEach(({ start, end }) => {
+            duck.gain.setTargetAtTime(duckedGain, when + start, MUSIC_DUCK_ATTACK);
+            duck.gain.setTargetAtTime(1, when + end, MUSIC_DUCK_RELEASE);
+        });
+        console.log(`Background music: ${Math.round(musicSettings.volume)}% volume, ducked ${musicSettings.duckAmount} dB under ${speech.length} speech spans.`);
+
+        source.start(when);
+        source.stop(when + duration);
+        return source;
+    }
+
+    // The voice with the music bed mixed under it, as a new buffer of the same length
+    function mixBackgroundMusic(voiceBuffer) {
+        const channels = Math.min(2, Math.max(voiceBuffer.numberOfChannels, musicBuffer.numberOfChannels));
+        const context = new OfflineAudioContext(channels, voiceBuffer.length, voiceBuffer.sampleRate);
+        new AudioBufferSourceNode(context, { buffer: voiceBuffer }).connect(context.destination).start();
+        connectBackgroundMusic(context, context.destination, voiceBuffer, 0);
+        return context.startRendering();
+    }
+
+    // =====================
+    // Audio Download
+    // =====================
+    // Downloads the audio in the chosen format: the (cleaned-up) blob as is, or re-encoded as WAV or MP3
+    async function downloadAudio() {
+        if (!audioBlob || !supportedAudioType) { // Handles !audioBlob and missing supportedAudioType
+            showStatus("No audio to download or file type unknown.", "warning");
+            return;
+        }
+        const format = AUDIO_EXPORT_FORMATS[audioFormatSelect.value] === undefined ? "original" : audioFormatSelect.value;
+        if (format === "mp3" && !hasMp3Encoder) {
+            showStatus("❌ MP3 encoder (lamejs) not loaded. Choose WAV instead.", "error");
+            return;
+        }
+        const withMusic = musicSettings.includeInDownload && hasBackgroundMusic();
+        const outputFormat = format === "original" && withMusic ? "wav" : format; // A mix has no original encoding
+        const isReencoding = outputFormat !== "original";
+        let outputBlob = audioBlob;
+        if (cleanupSettings.enabled || isReencoding) {
+            updateButtonStates("processing");
+            showStatus(cleanupSettings.enabled ? "⏳ Cleaning up voice..." : "⏳ Encoding audio...", "processing", 0);
+            try {
+                outputBlob = await getOutputAudioBlob();
+                let mixed = null;
+                if (withMusic) {
+                    showStatus("⏳ Mixing background music...", "processing", 0);
+                    mixed = await mixBackgroundMusic(await decodeAudioBlob(outputBlob));
+                }
+                // Cleaned audio is already WAV; everything else is decoded and re-encoded
+                if (outputFormat === "wav" && (mixed || outputBlob.type !== "audio/wav")) {
+                    outputBlob = encodeWav(mixed || await decodeAudioBlob(outputBlob));
+                } else if (outputFormat === "mp3") {
+                    showStatus(`⏳ Encoding MP3 (${mp3BitrateSelect.value} kbps)...`, "processing", 0);
+                    outputBlob = await encodeMp3(mixed || await decodeAudioBlob(outputBlob), Number(mp3BitrateSelect.value));
+                }
+            } catch (e) {
+                console.error("Audio encoding failed:", e);
+                showStatus(`❌ Audio encoding failed: ${e.message}`, "error");
+                return;
+            } finally {
+                updateButtonStates("recorded");
+            }
+        }
+        // Determine extension based on the output type (recorded type for untouched blobs)
+        const extension = isReencoding ? AUDIO_EXPORT_FORMATS[outputFormat].extension
+            : getExtensionForAudioType(outputBlob === audioBlob ? supportedAudioType : outputBlob.type);
+        console.log(`Audio download: ${outputFormat}${withMusic ? " with music" : ""}, ${outputBlob.size} bytes, type ${outputBlob.type}`);
+        downloadBlob(outputBlob, getSanitizedFilename(audioFileNameInput, DEFAULT_AUDIO_FILENAME_BASE, extension));
+    }
+
+    // =====================
+    // Transcription Providers
+    // =====================
+    // Each provider has an id, a label, isAvailable(), and either live: true (transcribes while
+    // recording, via startRecording) or transcribe(blob) resolving to { text, segments }.
+    const transcriptionProviders = {
+        browser: {
+            id: "browser",
+            label: "Browser speech recognition",
+            live: true,
+            isAvailable: () => hasSpeechRecognition,
+        },
+        whisper: {
+            id: "whisper",
+            label: "Whisper-compatible endpoint",
+            live: false,
+            isAvailable: () => !!transcriptionSettings?.whisperEndpoint,
+            transcribe: transcribeWithWhisper,
+        },
+    };
+
+    // The provider selected in the settings (falls back to the browser provider)
+    function getTranscriptionProvider() {
+        return transcriptionProviders[transcriptionSettings?.provider] || transcriptionProviders.browser;
+    }
+
+    // Sends audio to a Whisper-compatible HTTP endpoint (OpenAI /v1/audio/transcriptions or a
+    // whisper.cpp server /inference) and reads segment timings from its verbose_json response
+    async function transcribeWithWhisper(blob, signal) {
+        const settings = transcriptionSettings;
+        let upload = blob;
+        let uploadName = `audio${getExtensionForAudioType(blob.type || supportedAudioType)}`;
+        if (settings.whisperConvertToWav) {
+            const decoded = await decodeAudioBlob(blob);
+            upload = encodeWav(await resampleAudioBuffer(decoded, WHISPER_SAMPLE_RATE, 1));
+            uploadName = "audio.wav";
+        }
+
+        const form = new FormData();
+        form.append("file", upload, uploadName);
+        if (settings.whisperModel) form.append("model", settings.whisperModel);
+        form.append("language", getPrimaryLanguage(settings.language)); // Whisper expects ISO 639-1
+        form.append("response_format", "verbose_json");
+        form.append("timestamp_granularities[]", "segment");
+        form.append("timestamp_granularities[]", "word"); // For karaoke captions; interpolated when missing
+
+        const headers = settings.whisperApiKey ? { Authorization: `Bearer ${settings.whisperApiKey}` } : {};
+        console.log(`Sending ${upload.size} bytes to ${settings.whisperEndpoint}`);
+        const response = await fetch(settings.whisperEndpoint, { method: "POST", body: form, headers, signal });
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => "")).slice(0, 200);
+            throw new Error(`Endpoint responded ${response.status} ${response.statusText}${detail ? `: ${detail}` : ""}`);
+        }
+
+        // Plain-text responses carry no timings; captions will be estimated
+        if (!(response.headers.get("content-type") || "").includes("json")) {
+            return { text: normalizeText(await response.text()), segments: [] };
+        }
+        const data = await response.json();
+        const segments = (data.segments || [])
+            .map((segment) => {
+                const start = Number(segment.start) || 0;
+                const end = Number(segment.end) || 0;
+                // whisper.cpp nests word timestamps in each segment; OpenAI lists them once for the whole text
+                const words = (segment.words || data.words?.filter((word) => word.start >= start && word.start < end) || [])
+                    .map((word) => ({ text: normalizeText(word.word || ""), start: Number(word.start) || 0, end: Number(word.end) || 0 }))
+                    .filter((word) => word.text);
+                return {
+                    text: normalizeText(segment.text || ""),
+                    start,
+                    end,
+                    // avg_logprob is a log probability; exp() turns it into a 0-1 confidence
+                    confidence: Number.isFinite(segment.avg_logprob) ? Math.exp(segment.avg_logprob) : null,
+                    lang: settings.language,
+                    ...(words.length && { words }),
+                };
+            })
+            .filter((segment) => segment.text);
+        return { text: normalizeText(data.text || segments.map((segment) => segment.text).join(" ")), segments };
+    }
+
+    // Transcribes the loaded audio with the selected (non-live) provider and fills the transcript
+    async function transcribeAudio() {
+        const provider = getTranscriptionProvider();
+        if (!audioBlob) {
+            showStatus("No audio to transcribe.", "warning");
+            return;
+        }
+        if (!provider.transcribe || !provider.isAvailable()) {
+            showStatus(`${provider.label} cannot transcribe audio files. Choose another provider.`, "warning");
+            return;
+        }
+        if (subtitle.value.trim() && !confirm("Replace the current transcript with a new transcription?")) return;
+
+        updateButtonStates("processing");
+        showStatus(`⏳ Transcribing audio (${provider.label})...`, "processing", 0);
+        const controller = new AbortController();
+        transcriptionController = controller;
+        const timeoutId = setTimeout(() => controller.abort(new Error(`No response after ${TRANSCRIPTION_TIMEOUT / 60000} minutes.`)), TRANSCRIPTION_TIMEOUT);
+        cancelTranscriptionBtn.hidden = false;
+        try {
+            const { text, segments } = await provider.transcribe(audioBlob, controller.signal);
+            if (!text) throw new Error("The provider returned no text.");
+            transcriptSegments = segments;
+            finalTranscript = "";
+            subtitle.value = segments.length ? getSegmentsText() : text;
+            schedulePreviewRefresh();
+            updateButtonStates("recorded");
+            showStatus(segments.length
+                ? `✅ Transcribed ${segments.length} timed segments.`
+                : "✅ Transcribed (no timings returned; captions will be estimated).", "success");
+        } catch (e) {
+            updateButtonStates("recorded");
+            if (e?.name === "AbortError") {
+                console.log("Transcription cancelled by user.");
+                showStatus("Transcription cancelled.", "info");
+                return;
+            }
+            console.error("Transcription failed:", e);
+            showStatus(`❌ Transcription failed: ${e.message}`, "error", 0);
+        } finally {
+            clearTimeout(timeoutId);
+            transcriptionController = null;
+            cancelTranscriptionBtn.hidden = true;
+        }
+    }
+
+    // =====================
+    // Transcript Export Formats
+    // =====================
+    // SubRip (.srt): numbered cues with comma-separated milliseconds
+    function buildSrt(cues) {
+        return cues.map((cue, i) =>
+            `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}\n`
+        ).join("\n");
+    }
+
+    // Cue text as WebVTT cue payload: "&" and "<" start entities and tags, and "-->" would read as
+    // a timing line. Used by the .vtt file and by the WebM and MP4 subtitle tracks.
+    function escapeWebVttText(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/-->/g, "--&gt;");
+    }
+
+    // WebVTT (.vtt): header followed by cues with dot-separated milliseconds
+    function buildWebVtt(cues) {
+        const body = cues.map((cue) =>
+            `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${escapeWebVttText(cue.text)}\n`
+        ).join("\n");
+        return `WEBVTT\n\n${body}`;
+    }
+
+    // JSON dump of the timed segments (times in seconds, rounded to milliseconds)
+    function buildTranscriptJson(transcript, duration) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const timed = transcriptSegments.length > 0 && getSegmentsText() === normalizeText(transcript);
+        const segments = getTimedSegments(transcript, duration).map((segment) => ({
+            text: segment.text,
+            start: round(segment.start),
+            end: round(segment.end),
+            confidence: segment.confidence ?? null,
+            lang: segment.lang || transcriptionSettings.language,
+        }));
+        return JSON.stringify({
+            duration: round(duration),
+            timing: timed ? "recognized" : "estimated",
+            text: transcript,
+            segments,
+        }, null, 2);
+    }
+
+    // =====================
+    // Subtitle Import (SRT / WebVTT)
+    // =====================
+    // Parses "HH:MM:SS,mmm" (SRT) or "[HH:]MM:SS.mmm" (WebVTT) into seconds, or NaN if malformed
+    function parseTimestamp(text) {
+        const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/);
+        if (!match) return NaN;
+        const [, hours = "0", minutes, seconds, fraction] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, "0")) / 1000;
+    }
+
+    // Strips markup from cue text: WebVTT voice/class/timestamp tags, SRT <i>/<b>/<font> tags,
+    // ASS-style {\an8} overrides and the common HTML entities
+    function cleanCueText(text) {
+        return text
+            .replace(/<[^>]*>/g, "")
+            .replace(/\{\\[^}]*\}/g, "")
+            .replace(/&nbsp;/g, " ")
+            .replace(/&lrm;|&rlm;/g, "")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&amp;/g, "&");
+    }
+
+    // Parses SRT or WebVTT text into segments. Both formats are blank-line separated blocks with a
+    // "start --> end" line, so one parser handles them; header, NOTE, STYLE and REGION blocks are skipped.
+    function parseSubtitleFile(text) {
+        const segments = [];
+        const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+        blocks.forEach((block) => {
+            const lines = block.split("\n").filter((line) => line.trim() !== "");
+            const timingIndex = lines.findIndex((line) => line.includes("-->"));
+            if (timingIndex === -1 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+            const [startText, endText = ""] = lines[timingIndex].split("-->");
+            const start = parseTimestamp(startText);
+            const end = parseTimestamp(endText.trim().split(/\s+/)[0]); // WebVTT cue settings follow the end time
+            const cueText = normalizeText(cleanCueText(lines.slice(timingIndex + 1).join(" ")));
+            if (Number.isNaN(start) || Number.isNaN(end)) {
+                console.warn("Skipping subtitle block with malformed timing:", lines[timingIndex]);
+                return;
+            }
+            if (cueText) segments.push({ text: cueText, start, end: Math.max(start, end), confidence: null, lang: transcriptionSettings.language });
+        });
+        return segments.sort((a, b) => a.start - b.start);
+    }
+
+    // Loads an .srt/.vtt file as the transcript and its timings, checked against the audio duration
+    async function importSubtitleFile(file) {
+        if (!file) return;
+        if (!audioBlob || importSubtitlesBtn.disabled) {
+            showStatus("Load or record audio before importing subtitles.", "warning");
+            return;
+        }
+        let segments;
+        try {
+            segments = parseSubtitleFile(await file.text());
+        } catch (e) {
+            console.error("Subtitle file read error:", e);
+            showStatus(`❌ Could not read subtitle file: ${e.message}`, "error");
+            return;
+        }
+        if (!segments.length) {
+            showStatus("❌ No subtitle cues found. Is this a valid .srt or .vtt file?", "error");
+            return;
+        }
+
+        // Cues must fit the audio wavesurfer reports; anything past the end is offered for clipping
+        const duration = wavesurfer?.isReady ? wavesurfer.getDuration() : await getAudioDuration().catch(() => 0);
+        const lastEnd = segments[segments.length - 1].end;
+        if (duration && lastEnd > duration + SUBTITLE_DURATION_TOLERANCE) {
+            const outside = segments.filter((segment) => segment.start >= duration).length;
+            const proceed = confirm(`The subtitles run to ${formatTime(lastEnd)}, but the audio is only ${formatTime(duration)} long.\n\n`
+                + `${outside} cue(s) start after the audio ends and will be dropped; the rest will be clipped to the audio. Continue?`);
+            if (!proceed) return;
+            segments = segments
+                .filter((segment) => segment.start < duration)
+                .map((segment) => ({ ...segment, end: Math.min(segment.end, duration) }));
+        } else if (!duration) {
+            console.warn("Audio duration unknown; subtitle timings were not checked.");
+        }
+
+        if (subtitle.value.trim() && !confirm("Replace the current transcript with the imported subtitles?")) return;
+
+        transcriptSegments = segments;
+        finalTranscript = "";
+        subtitle.value = getSegmentsText();
+        schedulePreviewRefresh();
+        updateButtonStates("recorded");
+        showStatus(`✅ Imported ${segments.length} subtitle cues from ${file.name}.`, "success");
+        console.log(`Imported ${segments.length} subtitle cues from ${file.name}.`);
+    }
+
+    // Builds the export file contents for the chosen format
+    async function buildTranscriptExport(format, transcript) {
+        if (format === "txt") return transcript;
+        const duration = await getAudioDuration();
+        if (!duration) throw new Error("Audio duration is unknown, so timings cannot be produced.");
+        if (format === "srt") return buildSrt(buildCaptionCues(transcript, duration));
+        if (format === "vtt") return buildWebVtt(buildCaptionCues(transcript, duration));
+        if (format === "json") return buildTranscriptJson(transcript, duration);
+        throw new Error(`Unknown transcript format: ${format}`);
+    }
+
+    // --- Video Resource Cleanup Function ---
+    // Consolidates the cleanup logic for video generation resources
+    function cleanupVideoResources() {
+        console.log("Cleaning up video generation resources.");
+        // Stop and disconnect AudioBufferSourceNode
+        if (bufferSourceNodeForVideo) {
+            try { bufferSourceNodeForVideo.stop(); } catch (e) { console.warn("Error stopping bufferSourceNodeForVideo:", e); } // Stop might throw if already stopped
+            try { bufferSourceNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting bufferSourceNodeForVideo:", e); }
+             bufferSourceNodeForVideo = null; // Clear reference
+        }
+        // Stop the background music bed
+        if (musicSourceNodeForVideo) {
+            try { musicSourceNodeForVideo.stop(); } catch (e) { console.warn("Error stopping musicSourceNodeForVideo:", e); }
+            try { musicSourceNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting musicSourceNodeForVideo:", e); }
+            musicSourceNodeForVideo = null;
+        }
+        // Disconnect the visualizer's AnalyserNode
+        if (analyserNodeForVideo) {
+            try { analyserNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting analyserNodeForVideo:", e); }
+            analyserNodeForVideo = null;
+        }
+        // Disconnect MediaStreamDestination node
+        if (destinationNodeForVideo) {
+            try { destinationNodeForVideo.disconnect(); } catch (e) { console.warn("Error disconnecting destinationNodeForVideo:", e); }
+             destinationNodeForVideo = null; // Clear reference
+        }
+        // Close the AudioContext gracefully
+        if (audioContextForVideo && audioContextForVideo.state !== 'closed') {
+            console.log("Attempting to close AudioContext for video.");
+            audioContextForVideo.close().then(() => {
+                audioContextForVideo = null;
+                console.log("AudioContext for video closed.");
+            }).catch(e => {
+                console.warn("Error closing AudioContext for video:", e);
+                audioContextForVideo = null; // Still clear the reference on error
+            });
+        } else {
+             audioContextForVideo = null; // Ensure it's null if it was already closed or null
+        }
+        // Cancel the canvas animation frame
+        if (canvasAnimationId) { cancelAnimationFrame(canvasAnimationId); canvasAnimationId = null; }
+        // Stop the looping background video
+        backgroundVideo?.pause();
+        videoProgressDiv.hidden = true;
+        drawPreviewFrame(); // The preview pauses while a video generates
+    }
+    // --- End Video Resource Cleanup Function ---
+
+    // --- Video Progress ---
+    // Shows the progress bar for a new video generation run
+    function startVideoProgress() {
+        isVideoCancelled = false;
+        videoProgressStartTime = performance.now();
+        videoProgressBar.value = 0;
+        videoProgressText.textContent = "Preparing...";
+        cancelVideoBtn.disabled = false;
+        videoProgressDiv.hidden = false;
+    }
+
+    // Updates the bar from the audio position. The ETA assumes the rest renders at the average speed so far.
+    function updateVideoProgress(position, audioDuration) {
+        if (!(audioDuration > 0)) return;
+        const fraction = Math.min(1, Math.max(0, position / audioDuration));
+        const elapsed = (performance.now() - videoProgressStartTime) / 1000;
+        const eta = fraction > 0 ? formatTime((elapsed * (1 - fraction)) / fraction) : "–:––";
+        videoProgressBar.value = fraction;
+        videoProgressText.textContent = `${Math.round(fraction * 100)}% · ${formatTime(elapsed)} elapsed · ${eta} left`;
+    }
+
+    // Stops the running video generation without downloading anything
+    function cancelVideoGeneration() {
+        if (videoProgressDiv.hidden || isVideoCancelled) return;
+        console.log("Video generation cancelled by user.");
+        isVideoCancelled = true;
+        cancelVideoBtn.disabled = true;
+        videoProgressText.textContent = "Cancelling...";
+        // The recorder's onstop sees the flag and skips the download; the offline renderer stops at its next frame
+        if (videoRecorder?.state === "recording") {
+            try { videoRecorder.stop(); } catch (e) { console.warn("Error stopping video recorder on cancel:", e); }
+        }
+    }
+    // --- End Video Progress ---
+
+
+    // Resets the application state and UI. Optionally preserves recorded audio/transcript.
+    function resetApp(preserveAudio = false) {
+        console.log("Resetting application. Preserve audio:", preserveAudio);
+        isRecording = false;
+        isProcessingStop = false;
+
+        // Stop MediaRecorder if active and clear reference
+        if (mediaRecorder?.state !== "inactive") { // Use optional chaining
+            try { mediaRecorder?.stop(); } catch (e) { console.warn("Error stopping MediaRecorder during reset:", e); }
+        }
+        mediaRecorder = null;
+
+        // Abort Speech Recognition if active
+        if (recognition?.state !== 'idle') { // Use optional chaining and check state
+            try { recognition?.abort(); } catch (e) { console.warn("Error aborting SpeechRecognition during reset:", e); }
+        }
+        // The 'recognition' instance itself is kept for potential reuse.
+
+        // Stop media stream tracks and clear reference
+        stream?.getTracks().forEach((track) => track.stop());
+        stream = null;
+
+        // Clear audio data chunks from the last recording
+        audioChunks = [];
+
+        if (!preserveAudio) {
+            // Clear transcript data
+            finalTranscript = "";
+            transcriptSegments = [];
+            recordingStartTime = 0;
+            subtitle.value = "";
+            // Revoke audio object URL (if created) and clear audio blob
+            if (audioUrl) { URL.revokeObjectURL(audioUrl); audioUrl = null; }
+            audioBlob = null;
+            loadedAudioDuration = 0;
+            supportedAudioType = ""; // Clear recorded type
+        }
+
+        // Update subtitle placeholder based on API availability
+        const canRecord = hasMediaDevices && hasMediaRecorder && isSecureContext;
+         subtitle.placeholder = canRecord
+            ? (hasSpeechRecognition ? 'Click "Start Recording" to begin speaking.' : 'Click "Start Recording" to record audio.')
+            : "⚠️ Recording may not be possible (check HTTPS/localhost & browser features). Click Start to verify.";
+
+        // Reset audio duration display
+        audioDurationSpan.textContent = "0:00";
+        // Reset playback button text
+        playPauseBtn.textContent = "Play";
+
+        // Reset/Clear WaveSurfer instance state
+        if (wavesurfer) {
+            try {
+                if (wavesurfer.isPlaying()) wavesurfer.stop(); // Stop playback
+                // Clear waveform display if not preserving audio or if audioBlob is null
+                if (!preserveAudio || !audioBlob) wavesurfer.empty();
+                // Reset the custom ready state flag
+                wavesurfer.isReady = preserveAudio && audioBlob && wavesurfer.isReady; // Keep ready state only if preserving audio AND it was already ready
+                 console.log("WaveSurfer reset state.");
+            } catch (e) { console.warn("Error resetting WaveSurfer:", e); }
+            // The wavesurfer instance itself is generally preserved unless critically failed.
+        }
+
+        // Clean up video generation resources using the dedicated function
+        cleanupVideoResources();
+
+        // Clear any pending status message timeout and the status div
+        if (statusTimeoutId) { clearTimeout(statusTimeoutId); statusTimeoutId = null; }
+         statusDiv.className = "status info";
+         statusDiv.textContent = "";
+
+        // Update button states based on whether audio was preserved
+        showStatus("Application reset.", "info", 2000);
+        updateButtonStates(audioBlob && preserveAudio ? "recorded" : "idle");
+        schedulePreviewRefresh();
+    }
+
+    // Creates a continuous SpeechRecognition instance for one language. Final results become
+    // transcript segments tagged with that language, timed from mediaRecorder.start().
+    function createRecognizer(lang) {
+        const recognizer = new SpeechRecognition();
+        recognizer.lang = lang;
+        recognizer.continuous = true;
+        recognizer.interimResults = true;
+        recognizer.maxAlternatives = 1;
+        let firstSeenTimes = {}; // Result index -> offset when the result first appeared (interim)
+
+        recognizer.onstart = () => {
+            console.log(`SpeechRecognition started (${lang}).`);
+            firstSeenTimes = {}; // Result indices restart with each recognition session
+        };
+        recognizer.onresult = (event) => {
+            let interim = "";
+            let currentFinal = "";
+            const now = getRecordingOffset();
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i][0];
+                const transcript = result.transcript;
+                if (firstSeenTimes[i] === undefined) firstSeenTimes[i] = now;
+                if (event.results[i].isFinal) {
+                    currentFinal += transcript.trim() + " ";
+                    if (transcript.trim()) {
+                        transcriptSegments.push({
+                            text: normalizeText(transcript),
+                            start: Math.max(0, firstSeenTimes[i] - RECOGNITION_LATENCY),
+                            end: Math.max(0, now - RECOGNITION_LATENCY),
+                            confidence: result.confidence,
+                            lang,
+                        });
+                    }
+                } else interim += transcript;
+            }
+            if (currentFinal) finalTranscript += currentFinal;
+            subtitle.value = (finalTranscript + interim).trim();
+            subtitle.scrollTop = subtitle.scrollHeight;
+        };
+        recognizer.onerror = (e) => {
+            console.error("SpeechRecognition error:", e);
+            if (!["no-speech", "aborted", "audio-capture"].includes(e.error)) {
+                showStatus(`⚠️ Speech Rec Error: ${e.error}.`, "warning");
+            }
+        };
+        recognizer.onend = () => {
+            console.log(`SpeechRecognition ended (${lang}).`);
+            // A recognizer replaced by a language switch must not overwrite the new one's interim text
+            if (recognizer === recognition) subtitle.value = finalTranscript.trim();
+        };
+        return recognizer;
+    }
+
+    // Starts a recognizer, tolerating one that is already running
+    function startRecognizer(recognizer) {
+        try {
+            if (recognizer.state !== 'recognizing') {
+                recognizer.start();
+                console.log("SpeechRecognition start attempt.");
+            } else {
+                console.log("SpeechRecognition already running.");
+            }
+        } catch (e) {
+            if (e.name !== 'InvalidStateError') {
+                console.error("Synchronous error starting SpeechRecognition:", e);
+                showStatus(`⚠️ Speech Rec Warning: ${e.message}`, "warning");
+            } else {
+                console.log("SpeechRecognition start() called in invalid state (likely already running or stopping).");
+            }
+        }
+    }
+
+    // Rebuilds the recognizer after a language change. Mid-recording, the old recognizer is
+    // stopped (finalizing its pending phrase) and the new one takes over once it has ended,
+    // so one session can hold segments in several languages.
+    function applyRecognitionLanguage() {
+        const lang = transcriptionSettings.language;
+        if (!recognition || recognition.lang === lang) return;
+        const previous = recognition;
+        recognition = null;
+        if (isRecording && !isProcessingStop && getTranscriptionProvider().live && hasSpeechRecognition) {
+            recognition = createRecognizer(lang);
+            const next = recognition;
+            previous.addEventListener("end", () => {
+                if (isRecording && !isProcessingStop && recognition === next) startRecognizer(next);
+            }, { once: true });
+            try { previous.stop(); } catch (e) { console.warn("Error stopping previous SpeechRecognition:", e); }
+            showStatus(`🌐 Recognition language: ${lang}`, "info");
+        } else {
+            try { previous.abort(); } catch (e) { console.warn("Error aborting previous SpeechRecognition:", e); }
+        }
+    }
+
+    // Starts the audio recording process
+    async function startRecording() {
+        // --- Initial API and context checks ---
+        // Combine checks for clarity
+        if (!hasMediaDevices || !hasMediaRecorder || !isSecureContext) {
+            const errorMessage = !hasMediaDevices || !hasMediaRecorder
+                ? "Required browser features (MediaDevices or MediaRecorder API) are not available or not supported.\n\nPlease use a modern browser (like Chrome, Firefox, Edge, Safari)."
+                : "Microphone access requires a secure connection (HTTPS) or for the page to be served from localhost.";
+            alert(`Recording is not possible:\n${errorMessage}`);
+            console.error(`Start recording aborted: ${errorMessage}`);
+            return; // Stop the start process
+        }
+        // --- END Initial API Checks ---
+
+        console.log("Attempting to start recording...");
+        // Prevent starting if already recording or processing a stop
+        if (isRecording || isProcessingStop) {
+            showStatus("Cannot start recording: Already recording or processing.", "warning");
+            return; // Stop the start process
+        }
+
+        resetApp(false); // Perform a full reset before starting a new recording
+
+        isRecording = true; // Set state flag early
+
+        // --- Get Microphone Access ---
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            console.log("Microphone access granted.");
+        } catch (err) {
+            console.error("Microphone error:", err);
+            alert(`Microphone Access Denied or Error:\n${err.message}\n\nPlease grant microphone permission in your browser settings and try again.`);
+            isRecording = false; // Reset state flag
+            updateButtonStates("idle"); // Update UI to reflect idle state
+            return; // Stop the start process
+        }
+        // --- End Get Microphone Access ---
+
+        // --- Determine Supported Audio Format ---
+        supportedAudioType = PREFERRED_AUDIO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+
+        if (!supportedAudioType) {
+            console.error("No supported MIME type for audio recording found.");
+            alert("Recording Error:\nNo suitable audio format is supported by this browser for recording.");
+            stream.getTracks().forEach((track) => track.stop()); // Clean up acquired stream
+            stream = null;
+            isRecording = false; updateButtonStates("idle");
+            return; // Stop the start process
+        }
+        console.log(`Using audio format: ${supportedAudioType}`);
+        // --- End Determine Supported Audio Format ---
+
+
+        // --- Initialize MediaRecorder ---
+        try {
+            mediaRecorder = new MediaRecorder(stream, { mimeType: supportedAudioType });
+             console.log("MediaRecorder initialized.");
+        } catch (e) {
+            console.error("MediaRecorder initialization error:", e);
+            alert(`Recorder Setup Error:\nCould not initialize the MediaRecorder.\n${e.message}`);
+            stream.getTracks().forEach((track) => track.stop()); // Clean up acquired stream
+            stream = null;
+            isRecording = false; updateButtonStates("idle");
+            return; // Stop the start process
+        }
+        // --- End Initialize MediaRecorder ---
+
+
+        // --- MediaRecorder Event Handlers ---
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                audioChunks.push(event.data);
+                 console.log(`Data available: ${event.data.size} bytes`);
+            }
+        };
+
+        mediaRecorder.onstop = () => {
+            console.log("MediaRecorder onstop triggered.");
+            isRecording = false;
+            isProcessingStop = false; // Processing of recorded data is now starting
+
+            stream?.getTracks().forEach((track) => track.stop()); // Ensure stream tracks are stopped
+            stream = null; // Clear stream reference
 
             if (audioChunks.length === 0) {
                 console.warn("No audio data captured.");
@@ -403,221 +2150,2042 @@ document.addEventListener("DOMContentLoaded", function () {
                 return;
             }
 
-            // --- Create Audio Blob ---
-            try {
-                audioBlob = new Blob(audioChunks, { type: supportedAudioType });
-                console.log(`Audio Blob created: ${audioBlob.size} bytes, Type: ${audioBlob.type}`);
-                audioChunks = []; // Clear chunks array
+            // --- Create Audio Blob ---
+            try {
+                audioBlob = new Blob(audioChunks, { type: supportedAudioType });
+                console.log(`Audio Blob created: ${audioBlob.size} bytes, Type: ${audioBlob.type}`);
+                audioChunks = []; // Clear chunks array
+
+                if (audioBlob.size < MIN_RECORDING_BLOB_SIZE) {
+                    console.warn("Audio blob size is too small.", audioBlob.size);
+                    showStatus("Recording too short.", "warning");
+                    resetApp(false); // Reset completely if too short
+                    return;
+                }
+            } catch (e) {
+                console.error("Error creating audio blob:", e);
+                alert(`Audio Processing Error after recording:\n${e.message}`);
+                resetApp(false); // Reset completely on blob creation error
+                return;
+            }
+            // --- End Create Audio Blob ---
+
+
+            loadAudioIntoPlayer(); // Waveform, duration and 'recorded' state
+        };
+
+        // Handle errors during the recording session
+        mediaRecorder.onerror = (event) => {
+            console.error("MediaRecorder error during session:", event.error);
+            showStatus(`❌ Recording Error: ${event.error.name || 'Unknown'}`, "error", 0);
+            // Force reset after a short delay if still in recording/processing state
+            setTimeout(() => {
+                 if (isRecording || isProcessingStop) {
+                    console.warn("Forcing reset after MediaRecorder error timeout.");
+                    resetApp(false);
+                 }
+            }, 50);
+        };
+         // --- End MediaRecorder Event Handlers ---
+
+
+        // --- Speech Recognition Setup and Start ---
+        const transcriptionProvider = getTranscriptionProvider();
+        if (transcriptionProvider.live && transcriptionProvider.isAvailable()) {
+            if (!recognition || recognition.lang !== transcriptionSettings.language) {
+                recognition = createRecognizer(transcriptionSettings.language);
+            }
+            startRecognizer(recognition);
+        } else if (!transcriptionProvider.live) {
+            subtitle.placeholder = `Recording audio. Use "Transcribe Audio" (${transcriptionProvider.label}) when done.`;
+            console.log("Live recognition skipped: a file-based transcription provider is selected.");
+        } else {
+            subtitle.placeholder = "Recording audio (speech recognition not supported by this browser)...";
+             console.warn("Speech Recognition API not supported in this browser.");
+        }
+         // --- End Speech Recognition Setup and Start ---
+
+
+        // --- Start MediaRecorder ---
+        try {
+            mediaRecorder.start();
+            recordingStartTime = performance.now(); // Recognition timings are measured from here
+            console.log("MediaRecorder started successfully.");
+            updateButtonStates("recording"); // Update UI state now that recording has successfully begun
+        } catch (e) {
+            console.error("Critical Error: Failed to start MediaRecorder:", e);
+            alert(`Critical Error: Failed to start MediaRecorder.\n${e.message}`);
+            // Clean up resources if MediaRecorder start fails immediately
+            stream?.getTracks().forEach((track) => track.stop());
+            stream = null;
+            if (recognition?.state !== 'idle') { // Abort SR if active
+                try { recognition?.abort(); } catch (err) { console.warn("Error aborting SR after MR start failure:", err); }
+            }
+            isRecording = false; updateButtonStates("idle"); // Revert UI state
+        }
+         // --- End Start MediaRecorder ---
+    }
+
+    // Loads audioBlob into the waveform player (or reads its duration without one).
+    // Shared by recordings and imported files; the 'recorded' state is set once loading finishes.
+    function loadAudioIntoPlayer() {
+        // --- Process Audio Blob (Waveform/Playback) ---
+        if (wavesurfer) {
+            updateButtonStates("processing");
+            showStatus("⏳ Processing audio waveform...", "processing", 0);
+            try {
+                // Asynchronous operation, errors go to wavesurfer.on('error')
+               wavesurfer.loadBlob(audioBlob);
+               console.log("wavesurfer.loadBlob called.");
+
+              // wavesurfer.load('recorded_audio.webm'); 
+              // console.log("wavesurfer.load called with static file.");
+
+                // UI state updates (to 'recorded') happen in wavesurfer.on('ready') or wavesurfer.on('error')
+            } catch (loadError) {
+                // Catch SYNC errors during loadBlob call
+                console.error("Synchronous error during wavesurfer.loadBlob call:", loadError);
+                alert(`Waveform Load Error (sync): ${loadError.message}`);
+                // Destroy Wavesurfer on sync error
+                if (wavesurfer) {
+                    try { wavesurfer.destroy(); } catch(e) { console.warn("Error destroying wavesurfer after sync error:", e); }
+                    wavesurfer = null;
+                }
+                resetApp(true); // Reset UI but try to preserve audio blob
+            }
+        } else {
+            console.warn("WaveSurfer instance not available. Falling back to basic audio info.");
+            updateButtonStates("recorded");
+            showStatus("✅ Audio ready. Waveform unavailable.", "success");
+            subtitle.readOnly = false;
+            subtitle.placeholder = "Transcription ready. Edit if needed.";
+
+            // Attempt to get duration using a temporary HTML audio element
+            const tempAudio = document.createElement('audio');
+            tempAudio.onloadedmetadata = () => {
+                console.log("Temporary audio element loaded metadata.");
+                // MediaRecorder WebM often reports Infinity until fully scanned
+                if (Number.isFinite(tempAudio.duration)) loadedAudioDuration = tempAudio.duration;
+                audioDurationSpan.textContent = formatTime(tempAudio.duration);
+                URL.revokeObjectURL(tempAudio.src);
+            };
+            tempAudio.onerror = (e) => {
+                console.error("Temporary audio element error:", e);
+                showStatus("⚠️ Audio loaded, but playback/duration failed (temp element).", "warning");
+                if (tempAudio.src) URL.revokeObjectURL(tempAudio.src);
+            };
+            tempAudio.onabort = () => {
+                  console.warn("Temporary audio element aborted loading.");
+                  if (tempAudio.src) URL.revokeObjectURL(tempAudio.src);
+            };
+            tempAudio.src = URL.createObjectURL(audioBlob);
+            console.log("Attempting to load blob into temporary audio element.");
+        }
+    }
+
+    // Imports an audio file (picked or dropped) and loads it like a finished recording
+    function importAudioFile(file) {
+        if (!file) return;
+        if (isRecording || isProcessingStop || importBtn.disabled) {
+            showStatus("Cannot import audio: Recording or processing in progress.", "warning");
+            return;
+        }
+        const extension = (file.name.match(/\.[^/.]+$/)?.[0] || "").toLowerCase();
+        if (!IMPORTABLE_AUDIO_TYPES[extension]) {
+            showStatus(`❌ Unsupported audio file. Use ${Object.keys(IMPORTABLE_AUDIO_TYPES).join(", ")}.`, "error");
+            return;
+        }
+        if (file.size < MIN_RECORDING_BLOB_SIZE) {
+            showStatus("❌ Audio file is empty or too small.", "error");
+            return;
+        }
+        if ((audioBlob || subtitle.value.trim()) && !confirm("Importing a file replaces the current audio and transcript. Continue?")) {
+            return;
+        }
+
+        console.log(`Importing audio file: ${file.name} (${file.size} bytes, type: ${file.type || "unknown"})`);
+        resetApp(false); // Start from a clean session, as a new recording would
+        audioBlob = file; // A File is a Blob, so it goes through the same path as a recording
+        supportedAudioType = file.type || IMPORTABLE_AUDIO_TYPES[extension];
+        subtitle.placeholder = hasSpeechRecognition
+            ? "Imported audio has no live transcript. Type the transcription here."
+            : "Type the transcription for the imported audio here.";
+        loadAudioIntoPlayer();
+    }
+
+    // Stops the audio recording process
+    function stopRecording() {
+        if (!isRecording || isProcessingStop) {
+             console.log("Stop requested, but not recording or already processing stop.");
+            return;
+        }
+        console.log("Attempting to stop recording...");
+        isProcessingStop = true; // Set flag to indicate stop process has begun
+        updateButtonStates("processing"); // Update UI state to processing
+        showStatus("⏳ Stopping recording...", "processing", 0); // Show processing status
+
+        // Attempt to stop Speech Recognition if it's active
+        if (recognition?.state !== 'idle') { // Use optional chaining and check state
+            try {
+                 recognition.stop(); // Use optional chaining
+                 console.log("SpeechRecognition stop requested.");
+            } catch (e) {
+                 console.warn("Error stopping SpeechRecognition:", e);
+            }
+        }
+
+        // Attempt to stop MediaRecorder
+        if (mediaRecorder?.state === "recording" || mediaRecorder?.state === "paused") { // Use optional chaining
+            try {
+                mediaRecorder.stop(); // Use optional chaining
+                 console.log("MediaRecorder stop requested.");
+                // The asynchronous 'onstop' event handler will be triggered after this call
+                // to handle the processing of the recorded data.
+            } catch (e) {
+                console.error("Error calling mediaRecorder.stop():", e);
+                showStatus(`❌ Error stopping recording: ${e.message}`, "error");
+                // Implement a fallback force-reset after a short delay
+                setTimeout(() => {
+                     if (isProcessingStop) { // Check the flag to ensure we haven't already reset
+                        console.warn("Forcing application reset after MediaRecorder stop error timeout.");
+                        resetApp(false); // Reset to a clean state
+                     }
+                }, 2000); // Wait 2 seconds before forcing the reset
+            }
+        } else {
+             console.warn("MediaRecorder not in 'recording' or 'paused' state when stop was called. Initiating reset.");
+            // If MediaRecorder is not in an stoppable state, something is wrong, so just reset.
+            resetApp(false);
+        }
+    }
+
+    // =====================
+    // Caption Text Layout
+    // =====================
+    const segmenterCache = new Map(); // "lang|granularity" -> Intl.Segmenter
+
+    function getSegmenter(lang, granularity) {
+        const key = `${lang}|${granularity}`;
+        if (!segmenterCache.has(key)) segmenterCache.set(key, new Intl.Segmenter(lang || undefined, { granularity }));
+        return segmenterCache.get(key);
+    }
+
+    // Base direction of a text, decided by its first strong character (like dir="auto")
+    function getTextDirection(text) {
+        const firstStrong = text.match(/[\p{L}]/u)?.[0] || "";
+        return /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/.test(firstStrong) ? "rtl" : "ltr";
+    }
+
+    // Splits text into the smallest pieces a line may break between. Intl.Segmenter finds word
+    // boundaries in scripts written without spaces (Chinese, Japanese, Thai). Spaces and closing
+    // punctuation stick to the piece before them and opening punctuation to the piece after it,
+    // so no line starts with a comma or ends with an opening bracket.
+    function getLineBreakUnits(text, lang) {
+        if (!hasSegmenter) return text.split(/(?<=\s)/);
+        const units = [];
+        let pendingOpeners = "";
+        for (const { segment } of getSegmenter(lang, "word").segment(text)) {
+            if (/^[\s\p{Pe}\p{Pf}.,!?;:、。，．！？：；…‥ー々ゝゞ]+$/u.test(segment) && units.length && !pendingOpeners) {
+                units[units.length - 1] += segment;
+            } else if (/^[\p{Ps}\p{Pi}]+$/u.test(segment)) {
+                pendingOpeners += segment;
+            } else {
+                units.push(pendingOpeners + segment);
+                pendingOpeners = "";
+            }
+        }
+        if (pendingOpeners) units.push(pendingOpeners);
+        return units;
+    }
+
+    // Splits a unit too wide for any line into grapheme clusters, so combining marks and emoji stay whole
+    function getGraphemes(text, lang) {
+        return hasSegmenter ? [...getSegmenter(lang, "grapheme").segment(text)].map(({ segment }) => segment) : [...text];
+    }
+
+    // Breaks text into lines no wider than maxWidth using the context's current font.
+    // Lines stay in logical order; the canvas applies the bidi algorithm when each line is drawn.
+    function wrapText(context, text, maxWidth, lang) {
+        const lines = [];
+        let line = "";
+        const fits = (candidate) => context.measureText(candidate.trimEnd()).width <= maxWidth;
+        const pushLine = () => {
+            if (line.trim()) lines.push(line.trim());
+            line = "";
+        };
+
+        getLineBreakUnits(normalizeText(text), lang).forEach((unit) => {
+            if (fits(line + unit)) {
+                line += unit;
+                return;
+            }
+            pushLine();
+            if (fits(unit)) {
+                line = unit.trimStart();
+                return;
+            }
+            // Unit wider than a whole line: break it between graphemes
+            getGraphemes(unit.trimStart(), lang).forEach((grapheme) => {
+                if (line && !fits(line + grapheme)) pushLine();
+                line += grapheme;
+            });
+        });
+        pushLine();
+        return lines;
+    }
+
+    // Canvas font for captions at a size, with the script fallbacks for the language
+    function getCaptionFont(fontSize, lang, style = captionSettings) {
+        return `${style.fontWeight} ${fontSize}px ${getCaptionFontStack(lang, style.fontFamily)}`;
+    }
 
-                if (audioBlob.size < MIN_RECORDING_BLOB_SIZE) {
-                    console.warn("Audio blob size is too small.", audioBlob.size);
-                    showStatus("Recording too short.", "warning");
-                    resetApp(false); // Reset completely if too short
-                    return;
+    // Frame size and scaled layout metrics for the chosen output preset and caption padding
+    function getVideoLayout(settings, captions = captionSettings) {
+        const [ratioWidth, ratioHeight] = VIDEO_ASPECT_RATIOS[settings.aspectRatio] || VIDEO_ASPECT_RATIOS[DEFAULT_VIDEO_SETTINGS.aspectRatio];
+        const shortSide = settings.resolution;
+        const longSide = Math.round((shortSide * Math.max(ratioWidth, ratioHeight)) / Math.min(ratioWidth, ratioHeight) / 2) * 2; // Encoders want even sizes
+        const width = ratioWidth <= ratioHeight ? shortSide : longSide;
+        const height = ratioWidth <= ratioHeight ? longSide : shortSide;
+        const padding = shortSide * captions.padding / 100;
+        return {
+            width,
+            height,
+            frameRate: settings.frameRate,
+            scale: shortSide / LAYOUT_REFERENCE_SIZE,
+            padding,
+            captionBox: { width: width - 2 * padding, height: height - 2 * padding }, // Area captions must fit in
+        };
+    }
+
+    // Finds the largest font size (within the caption limits, scaled to the frame) at which the
+    // text fits the box. If it doesn't fit even at the minimum size, the lines are split into pages.
+    function fitCaptionText(context, text, lang, box, scale = 1) {
+        const maxSize = Math.round(captionSettings.fontSize * scale);
+        const minSize = Math.round(Math.min(CAPTION_MIN_FONT_SIZE, captionSettings.fontSize) * scale);
+        const step = Math.max(1, Math.round(CAPTION_FONT_STEP * scale));
+        for (let size = maxSize; ; size = Math.max(minSize, size - step)) {
+            context.font = getCaptionFont(size, lang);
+            const lineHeight = Math.round(size * CAPTION_LINE_HEIGHT_RATIO);
+            const lines = wrapText(context, text, box.width, lang);
+            const linesPerPage = Math.max(1, Math.floor(box.height / lineHeight));
+            if (lines.length <= linesPerPage || size === minSize) {
+                const pages = [];
+                for (let i = 0; i < lines.length; i += linesPerPage) pages.push(lines.slice(i, i + linesPerPage));
+                return { fontSize: size, lineHeight, pages };
+            }
+        }
+    }
+
+    // Lays out caption cues for drawing. Each result carries its font size, line height and lines;
+    // a cue that needed several pages becomes one cue per page, sharing its time by text length.
+    // lineOffsets locate each line in the cue text, so animations can look up word timings.
+    function layoutCaptionCues(context, cues, box, scale = 1) {
+        return cues.flatMap((cue) => {
+            const { fontSize, lineHeight, pages } = fitCaptionText(context, cue.text, cue.lang, box, scale);
+            let cursor = 0;
+            const lineOffsets = pages.map((lines) => lines.map((line) => {
+                const offset = Math.max(cursor, cue.text.indexOf(line, cursor));
+                cursor = offset + line.length;
+                return offset;
+            }));
+            return distributePhrases(pages.map((lines) => lines.join(" ")), cue.start, cue.end)
+                .map((page, i) => ({ ...cue, ...page, fontSize, lineHeight, lines: pages[i], lineOffsets: lineOffsets[i] }));
+        });
+    }
+
+    // Draws text wrapped to maxWidth, vertically centred on y (see drawTextLines for alignment)
+    function drawWrappedText(context, text, x, y, textMaxWidth, lineHeight, lang, align = "center") {
+        return drawTextLines(context, wrapText(context, text, textMaxWidth, lang), x, y, textMaxWidth, lineHeight, lang, align);
+    }
+
+    // Draws pre-wrapped lines vertically centred on y. `align` is "center", "start" or "end";
+    // start/end follow the text direction, so RTL captions line up on the right.
+    function drawTextLines(context, lines, x, y, textMaxWidth, lineHeight, lang, align = "center") {
+        const direction = getTextDirection(lines.join(" "));
+        context.save();
+        context.direction = direction;
+        if ("lang" in context) context.lang = lang || ""; // Picks language-specific glyphs where supported
+        context.textAlign = align;
+        // For start/end, x is the centre of the text box; shift it to the edge the text runs from
+        const edgeOffset = align === "center" ? 0 : textMaxWidth / 2;
+        const isRightEdge = (align === "start") === (direction === "rtl");
+        const lineX = x + (isRightEdge ? edgeOffset : -edgeOffset);
+
+        let currentY = y - (lines.length * lineHeight) / 2 + lineHeight / 2;
+        lines.forEach((singleLine) => {
+            context.fillText(singleLine, lineX, currentY);
+            currentY += lineHeight;
+        });
+        context.restore();
+        return lines.length;
+    }
+
+    // =====================
+    // Frame Rendering
+    // =====================
+    // Theme colours for the video, read from the CSS variables
+    function getVideoColors() {
+        const styles = getComputedStyle(document.documentElement);
+        return {
+            text: styles.getPropertyValue("--text-light").trim() || "#ffffff",
+            background: styles.getPropertyValue("--bg-dark").trim() || "#222222",
+        };
+    }
+
+    // Current background settings together with the loaded media
+    function getBackgroundStyle() {
+        return { ...backgroundSettings, image: backgroundImage, video: backgroundVideo };
+    }
+
+    // Draws an image or video frame scaled to cover or fit inside the frame, optionally blurred
+    function drawBackgroundMedia(context, layout, media, mediaWidth, mediaHeight, fit, blur) {
+        if (!mediaWidth || !mediaHeight) return;
+        const { width, height } = layout;
+        const scale = fit === "contain"
+            ? Math.min(width / mediaWidth, height / mediaHeight)
+            : Math.max(width / mediaWidth, height / mediaHeight);
+        // Blur fades the edges towards transparent, so a blurred cover image is drawn a little larger
+        const bleed = fit === "cover" ? blur * 2 : 0;
+        const drawWidth = mediaWidth * scale + bleed * 2;
+        const drawHeight = mediaHeight * scale + bleed * 2;
+        if (blur > 0) context.filter = `blur(${blur}px)`;
+        context.drawImage(media, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        context.filter = "none";
+    }
+
+    // Builds a linear (CSS angle convention) or radial gradient spanning the frame
+    function createBackgroundGradient(context, layout, background) {
+        const { width, height } = layout;
+        if (background.gradientType === "radial") {
+            const gradient = context.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+            gradient.addColorStop(0, background.gradientStart);
+            gradient.addColorStop(1, background.gradientEnd);
+            return gradient;
+        }
+        const angle = (background.gradientAngle * Math.PI) / 180;
+        const dx = Math.sin(angle);
+        const dy = -Math.cos(angle);
+        const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2; // Same gradient line length as CSS
+        const gradient = context.createLinearGradient(
+            width / 2 - dx * halfLength, height / 2 - dy * halfLength,
+            width / 2 + dx * halfLength, height / 2 + dy * halfLength);
+        gradient.addColorStop(0, background.gradientStart);
+        gradient.addColorStop(1, background.gradientEnd);
+        return gradient;
+    }
+
+    // Fills the frame with the chosen background, then the dim overlay. Image and video
+    // backgrounds without loaded media fall back to the theme colour.
+    function drawBackground(context, layout, background, colors) {
+        const { width, height } = layout;
+        context.save();
+        context.fillStyle = colors.background;
+        context.fillRect(0, 0, width, height);
+        const blur = background.blur * layout.scale;
+        if (background.type === "gradient") {
+            context.fillStyle = createBackgroundGradient(context, layout, background);
+            context.fillRect(0, 0, width, height);
+        } else if (background.type === "image" && background.image) {
+            drawBackgroundMedia(context, layout, background.image, background.image.naturalWidth, background.image.naturalHeight, background.fit, blur);
+        } else if (background.type === "video" && background.video?.readyState >= 2) { // HAVE_CURRENT_DATA
+            drawBackgroundMedia(context, layout, background.video, background.video.videoWidth, background.video.videoHeight, background.fit, blur);
+        }
+        if (background.dim > 0) {
+            context.fillStyle = `rgba(0, 0, 0, ${background.dim / 100})`;
+            context.fillRect(0, 0, width, height);
+        }
+        context.restore();
+    }
+
+    // =====================
+    // Audio Visualizer
+    // =====================
+    // Wraps a live AnalyserNode in the interface the visualizer draws from
+    function createNodeAnalyser(node) {
+        const data = new Uint8Array(node.frequencyBinCount);
+        return {
+            sampleRate: node.context.sampleRate,
+            fftSize: node.fftSize,
+            getFrequencyData() {
+                node.getByteFrequencyData(data);
+                return data;
+            },
+        };
+    }
+
+    // In-place iterative radix-2 FFT; both arrays must have the same power-of-two length
+    function fftInPlace(real, imag) {
+        const n = real.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const step = (-2 * Math.PI) / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const cos = Math.cos(step * k);
+                    const sin = Math.sin(step * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tReal = real[b] * cos - imag[b] * sin;
+                    const tImag = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
                 }
-            } catch (e) {
-                console.error("Error creating audio blob:", e);
-                alert(`Audio Processing Error after recording:\n${e.message}`);
-                resetApp(false); // Reset completely on blob creation error
+            }
+        }
+    }
+
+    // Offline counterpart of createNodeAnalyser: applies the AnalyserNode algorithm (Blackman window,
+    // smoothing over calls, dB scaling) to the decoded samples just before `time`
+    function createBufferAnalyser(audioBuffer) {
+        const fftSize = VISUALIZER_FFT_SIZE;
+        const { sampleRate, length, numberOfChannels } = audioBuffer;
+        const channelData = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+        const blackman = Float32Array.from({ length: fftSize }, (_, i) =>
+            0.42 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize) + 0.08 * Math.cos((4 * Math.PI * i) / fftSize));
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        const smoothed = new Float32Array(fftSize / 2);
+        const data = new Uint8Array(fftSize / 2);
+        return {
+            sampleRate,
+            fftSize,
+            getFrequencyData(time) {
+                const end = Math.round(time * sampleRate);
+                for (let i = 0; i < fftSize; i++) {
+                    const index = end - fftSize + i;
+                    let sample = 0;
+                    if (index >= 0 && index < length) {
+                        for (let c = 0; c < numberOfChannels; c++) sample += channelData[c][index];
+                        sample /= numberOfChannels; // Down-mix like the node does
+                    }
+                    real[i] = sample * blackman[i];
+                    imag[i] = 0;
+                }
+                fftInPlace(real, imag);
+                for (let k = 0; k < data.length; k++) {
+                    const magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+                    smoothed[k] = VISUALIZER_SMOOTHING * smoothed[k] + (1 - VISUALIZER_SMOOTHING) * magnitude;
+                    const decibels = 20 * Math.log10(smoothed[k] || 1e-12);
+                    const scaled = (255 * (decibels - VISUALIZER_MIN_DECIBELS)) / (VISUALIZER_MAX_DECIBELS - VISUALIZER_MIN_DECIBELS);
+                    data[k] = Math.max(0, Math.min(255, scaled));
+                }
+                return data;
+            },
+        };
+    }
+
+    // Per-window peak amplitude (0-1) of all channels, for the scrolling waveform
+    function computePeakEnvelope(audioBuffer) {
+        const windowSize = Math.max(1, Math.floor(audioBuffer.sampleRate / VISUALIZER_ENVELOPE_RATE));
+        const peaks = new Float32Array(Math.ceil(audioBuffer.length / windowSize));
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const samples = audioBuffer.getChannelData(c);
+            for (let i = 0; i < samples.length; i++) {
+                const peakIndex = Math.floor(i / windowSize);
+                const value = Math.abs(samples[i]);
+                if (value > peaks[peakIndex]) peaks[peakIndex] = value;
+            }
+        }
+        return peaks;
+    }
+
+    // Groups analyser bins into `count` log-spaced bands across the voice range (values 0-1)
+    function getFrequencyBands(analyser, time, count) {
+        const data = analyser.getFrequencyData(time);
+        const binHz = analyser.sampleRate / analyser.fftSize;
+        const ratio = VISUALIZER_MAX_FREQUENCY / VISUALIZER_MIN_FREQUENCY;
+        const bands = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const lowBin = Math.floor((VISUALIZER_MIN_FREQUENCY * ratio ** (i / count)) / binHz);
+            const highBin = Math.max(lowBin + 1, Math.floor((VISUALIZER_MIN_FREQUENCY * ratio ** ((i + 1) / count)) / binHz));
+            let peak = 0;
+            for (let bin = lowBin; bin < highBin && bin < data.length; bin++) peak = Math.max(peak, data[bin]);
+            bands[i] = peak / 255;
+        }
+        return bands;
+    }
+
+    // Area the visualizer occupies: full width inside the padding, placed top/centre/bottom
+    function getVisualizerArea(layout, visualizer) {
+        const shortSide = Math.min(layout.width, layout.height);
+        const height = (shortSide * visualizer.size) / 100;
+        const y = visualizer.position === "top" ? layout.padding
+            : visualizer.position === "center" ? (layout.height - height) / 2
+            : layout.height - layout.padding - height;
+        return { x: layout.padding, y, width: layout.width - 2 * layout.padding, height };
+    }
+
+    // Frequency bars rising from the bottom of the area, shading from colour to accent
+    function drawVisualizerBars(context, area, bands, visualizer) {
+        const slot = area.width / bands.length;
+        const gradient = context.createLinearGradient(0, area.y + area.height, 0, area.y);
+        gradient.addColorStop(0, visualizer.color);
+        gradient.addColorStop(1, visualizer.accentColor);
+        context.fillStyle = gradient;
+        bands.forEach((value, i) => {
+            const barHeight = Math.max(2, value * area.height);
+            context.fillRect(area.x + i * slot + slot * 0.15, area.y + area.height - barHeight, slot * 0.7, barHeight);
+        });
+    }
+
+    // Mirrored circular spectrum: spokes radiate from a ring in the middle of the area
+    function drawVisualizerCircle(context, area, bands, visualizer, scale) {
+        const centerX = area.x + area.width / 2;
+        const centerY = area.y + area.height / 2;
+        const innerRadius = area.height * 0.25;
+        const maxSpoke = area.height / 2 - innerRadius;
+        context.lineWidth = Math.max(1, 3 * scale);
+        context.lineCap = "round";
+        context.strokeStyle = visualizer.color;
+        context.beginPath();
+        context.arc(centerX, centerY, innerRadius, 0, Math.PI * 2);
+        context.stroke();
+        context.strokeStyle = visualizer.accentColor;
+        context.beginPath();
+        bands.forEach((value, i) => {
+            // Mirror each band left/right so the shape is symmetrical, starting at the top
+            [1, -1].forEach((side) => {
+                const angle = -Math.PI / 2 + side * Math.PI * ((i + 0.5) / bands.length);
+                const spoke = Math.max(1, value * maxSpoke);
+                context.moveTo(centerX + Math.cos(angle) * innerRadius, centerY + Math.sin(angle) * innerRadius);
+                context.lineTo(centerX + Math.cos(angle) * (innerRadius + spoke), centerY + Math.sin(angle) * (innerRadius + spoke));
+            });
+        });
+        context.stroke();
+    }
+
+    // Waveform scrolling past a centre playhead: played audio in the accent colour, like wavesurfer
+    function drawVisualizerWaveform(context, area, envelope, time, visualizer, scale) {
+        const barWidth = Math.max(1, 3 * scale);
+        const slot = barWidth * 1.5;
+        const bars = Math.floor(area.width / slot);
+        const secondsPerBar = VISUALIZER_WAVEFORM_WINDOW / bars;
+        const midY = area.y + area.height / 2;
+        for (let i = 0; i < bars; i++) {
+            const barTime = time + (i - bars / 2) * secondsPerBar;
+            if (barTime < 0) continue;
+            // Peak over the envelope windows this bar covers
+            const first = Math.floor(barTime * VISUALIZER_ENVELOPE_RATE);
+            const last = Math.max(first + 1, Math.floor((barTime + secondsPerBar) * VISUALIZER_ENVELOPE_RATE));
+            if (first >= envelope.length) break;
+            let peak = 0;
+            for (let k = first; k < last && k < envelope.length; k++) peak = Math.max(peak, envelope[k]);
+            const barHeight = Math.max(barWidth, peak * area.height);
+            context.fillStyle = barTime <= time ? visualizer.accentColor : visualizer.color;
+            context.fillRect(area.x + i * slot, midY - barHeight / 2, barWidth, barHeight);
+        }
+    }
+
+    // Draws the visualizer layer for the current time (nothing if disabled or no audio data)
+    function drawVisualizer(context, scene, time) {
+        const { visualizer, audio, layout } = scene;
+        if (!visualizer || visualizer.style === "none" || !audio) return;
+        const area = getVisualizerArea(layout, visualizer);
+        context.save();
+        if (visualizer.style === "bars" && audio.analyser) {
+            drawVisualizerBars(context, area, getFrequencyBands(audio.analyser, time, VISUALIZER_BAR_COUNT), visualizer);
+        } else if (visualizer.style === "circle" && audio.analyser) {
+            drawVisualizerCircle(context, area, getFrequencyBands(audio.analyser, time, VISUALIZER_CIRCLE_BAR_COUNT), visualizer, layout.scale);
+        } else if (visualizer.style === "waveform" && audio.envelope) {
+            drawVisualizerWaveform(context, area, audio.envelope, time, visualizer, layout.scale);
+        }
+        context.restore();
+    }
+
+    // Draws text with the caption stroke under the fill. The drop shadow is cast once, by the lowest layer.
+    function drawStyledText(context, text, x, y, style) {
+        context.save();
+        if (style.shadowBlur > 0) {
+            context.shadowColor = CAPTION_SHADOW_COLOR;
+            context.shadowBlur = style.shadowBlur;
+            context.shadowOffsetY = style.shadowBlur / 3;
+        }
+        if (style.strokeWidth > 0) {
+            context.lineWidth = style.strokeWidth * 2; // Half of the stroke is hidden under the fill
+            context.strokeStyle = style.strokeColor;
+            context.lineJoin = "round";
+            context.strokeText(text, x, y);
+            context.shadowColor = "transparent";
+        }
+        context.fillText(text, x, y);
+        context.restore();
+    }
+
+    // Time at which the character at `offset` of the cue text is spoken, interpolated within its word
+    function getCharTime(cue, offset) {
+        const word = cue.words.findLast((candidate) => candidate.offset <= offset) || cue.words[0];
+        const progress = Math.min(1, (offset - word.offset) / Math.max(1, word.text.length));
+        return word.start + (word.end - word.start) * progress;
+    }
+
+    // Opacity and vertical offset of a caption entering and leaving the screen
+    function getCaptionTransition(transition, cue, time, distance) {
+        if (transition === "none") return { alpha: 1, offsetY: 0 };
+        const enter = Math.min(1, (time - cue.start) / CAPTION_TRANSITION_DURATION);
+        const leave = Math.min(1, (cue.end - time) / CAPTION_TRANSITION_DURATION);
+        const alpha = Math.max(0, Math.min(enter, leave));
+        if (transition === "fade") return { alpha, offsetY: 0 };
+        return { alpha, offsetY: (1 - enter) * distance - (1 - leave) * distance }; // Slides up in, then up and out
+    }
+
+    // Draws the caption cue for the current time in the chosen style. Animated modes draw the lines
+    // piece by piece (words, or segmenter units in scripts without spaces), timed by getCharTime.
+    function drawCaption(context, scene, cue, time) {
+        const { layout, captions } = scene;
+        const style = {
+            strokeWidth: captions.strokeWidth * layout.scale,
+            strokeColor: captions.strokeColor,
+            shadowBlur: captions.shadow * layout.scale,
+        };
+        const { alpha, offsetY } = getCaptionTransition(captions.transition, cue, time, cue.lineHeight / 2);
+        if (alpha <= 0) return;
+
+        const direction = getTextDirection(cue.lines.join(" "));
+        context.save();
+        context.globalAlpha = alpha;
+        context.font = getCaptionFont(cue.fontSize, cue.lang, captions);
+        context.direction = direction;
+        if ("lang" in context) context.lang = cue.lang || ""; // Picks language-specific glyphs where supported
+        context.textAlign = captions.animation === "none" ? "center" : "left";
+
+        const centerX = layout.width / 2;
+        const blockHeight = cue.lines.length * cue.lineHeight;
+        const blockTop = offsetY + (captions.position === "top" ? layout.padding
+            : captions.position === "bottom" ? layout.height - layout.padding - blockHeight
+            : (layout.height - blockHeight) / 2);
+        if (captions.boxOpacity > 0) {
+            // One box around all lines, sized to the widest
+            const boxPadding = cue.fontSize * CAPTION_BOX_PADDING_RATIO;
+            const boxWidth = Math.max(...cue.lines.map((line) => context.measureText(line).width)) + 2 * boxPadding;
+            context.save();
+            context.globalAlpha *= captions.boxOpacity / 100;
+            context.fillStyle = captions.boxColor;
+            context.beginPath();
+            context.roundRect(centerX - boxWidth / 2, blockTop - boxPadding / 2, boxWidth, blockHeight + boxPadding, boxPadding);
+            context.fill();
+            context.restore();
+        }
+        context.fillStyle = captions.textColor;
+        let lineY = blockTop + cue.lineHeight / 2;
+        cue.lines.forEach((line, lineIndex) => {
+            if (captions.animation === "none") {
+                drawStyledText(context, line, centerX, lineY, style);
+                lineY += cue.lineHeight;
                 return;
             }
-            // --- End Create Audio Blob ---
+            // Pieces run from the left edge in LTR text and from the right edge in RTL text
+            const lineWidth = context.measureText(line).width;
+            let cursor = direction === "rtl" ? centerX + lineWidth / 2 : centerX - lineWidth / 2;
+            let offset = cue.lineOffsets[lineIndex];
+            getLineBreakUnits(line, cue.lang).forEach((unit) => {
+                const width = context.measureText(unit).width;
+                const x = direction === "rtl" ? cursor - width : cursor;
+                cursor += direction === "rtl" ? -width : width;
+                const unitStart = getCharTime(cue, offset);
+                const unitEnd = getCharTime(cue, offset + unit.trimEnd().length);
+                const unitOffset = offset;
+                offset += unit.length;
+
+                context.save();
+                if (time >= unitStart && time < unitEnd) context.fillStyle = captions.highlightColor; // Word being spoken
+                if (captions.animation === "karaoke") {
+                    drawStyledText(context, unit, x, lineY, style);
+                } else if (captions.animation === "pop") {
+                    if (time < unitStart) { context.restore(); return; }
+                    const progress = Math.min(1, (time - unitStart) / CAPTION_POP_DURATION);
+                    const scale = CAPTION_POP_SCALE + (1 - CAPTION_POP_SCALE) * progress;
+                    context.globalAlpha *= progress;
+                    context.translate(x + width / 2, lineY);
+                    context.scale(scale, scale);
+                    drawStyledText(context, unit, -width / 2, 0, style);
+                } else if (captions.animation === "typewriter") {
+                    // Reveal the unit grapheme by grapheme as its characters are spoken
+                    let shown = "";
+                    for (const grapheme of getGraphemes(unit, cue.lang)) {
+                        if (getCharTime(cue, unitOffset + shown.length) > time) break;
+                        shown += grapheme;
+                    }
+                    if (shown) {
+                        const shownX = direction === "rtl" ? x + width - context.measureText(shown).width : x;
+                        drawStyledText(context, shown, shownX, lineY, style);
+                    }
+                }
+                context.restore();
+            });
+            lineY += cue.lineHeight;
+        });
+        context.restore();
+    }
+
+    // Draws one complete video frame for the given time in the audio
+    function drawVideoFrame(context, scene, time) {
+        const { layout, colors } = scene;
+        drawBackground(context, layout, scene.background, colors);
+        drawVisualizer(context, scene, time);
+        const cue = findCueAt(scene.cues, time);
+        if (cue) drawCaption(context, scene, cue, time);
+        drawWatermark(context, scene);
+        drawPlaybackOverlay(context, scene, time);
+    }
+
+    // Draws the logo in its corner of the frame (nothing if no logo is loaded)
+    function drawWatermark(context, scene) {
+        const { layout, watermark } = scene;
+        const image = watermark?.image;
+        if (!image?.naturalWidth) return;
+        const shortSide = Math.min(layout.width, layout.height);
+        const width = shortSide * watermark.size / 100;
+        const height = width * (image.naturalHeight / image.naturalWidth);
+        const margin = shortSide * WATERMARK_MARGIN_RATIO;
+        const x = watermark.corner.endsWith("left") ? margin : layout.width - margin - width;
+        const y = watermark.corner.startsWith("top") ? margin : layout.height - margin - height;
+        context.save();
+        context.globalAlpha = watermark.opacity / 100;
+        context.drawImage(image, x, y, width, height);
+        context.restore();
+    }
+
+    // Everything drawVideoFrame needs apart from the cues, audio data and title cards, which follow the decoded audio
+    function createVideoScene(layout) {
+        return {
+            layout,
+            colors: getVideoColors(),
+            background: getBackgroundStyle(),
+            visualizer: { ...visualizerSettings },
+            captions: { ...captionSettings },
+            watermark: { ...watermarkSettings, image: watermarkImage },
+            overlay: { progressBar: cardSettings.progressBar, timer: cardSettings.timer },
+            cards: { intro: null, outro: null }, // Laid out by prepareTitleCards
+            duration: 0, // Seconds of voice audio, once decoded
+            cues: [],
+            audio: null, // { analyser, envelope } once the audio is decoded
+        };
+    }
+
+    // Times the transcript against the audio, loads the caption fonts and lays the cues out for the frame
+    async function prepareCaptionCues(context, transcript, duration, layout, spans = null) {
+        const captionCues = buildCaptionCues(transcript, duration, spans);
+
+        // Web fonts load lazily per script, so fetch the ones the captions need before drawing them
+        await Promise.all([...new Set(captionCues.map((cue) => cue.lang))].map((lang) =>
+            document.fonts.load(getCaptionFont(captionSettings.fontSize, lang), captionCues.filter((cue) => cue.lang === lang).map((cue) => cue.text).join(" "))
+                .catch((e) => console.warn(`Caption fonts for ${lang} failed to load:`, e))));
+
+        // Measure once up front: shrink long captions to fit, and page through any that still overflow
+        return layoutCaptionCues(context, captionCues, layout.captionBox, layout.scale);
+    }
+
+    // Lays out the enabled title cards for the scene. Cards reuse the caption style at a larger
+    // size and fade in and out; scene.duration (the voice section) must be known.
+    async function prepareTitleCards(context, scene) {
+        const { layout } = scene;
+        const lang = transcriptionSettings.language;
+        const introDuration = cardSettings.introEnabled ? cardSettings.introDuration : 0;
+        const voiceEnd = introDuration + scene.duration;
+        const makeCard = (text, duration, background, color, start) => {
+            text = normalizeText(text);
+            const { fontSize, lineHeight, pages } = fitCaptionText(context, text, lang, layout.captionBox, layout.scale * TITLE_CARD_FONT_SCALE);
+            return { text, lang, duration, background, color, start, end: start + duration, fontSize, lineHeight, lines: text ? pages.flat() : [] };
+        };
+        const texts = [cardSettings.introEnabled && cardSettings.introText, cardSettings.outroEnabled && cardSettings.outroText].filter(Boolean);
+        if (texts.length) {
+            await document.fonts.load(getCaptionFont(captionSettings.fontSize, lang), texts.join(" "))
+                .catch((e) => console.warn("Title card fonts failed to load:", e));
+        }
+        scene.cards = {
+            intro: cardSettings.introEnabled ? makeCard(cardSettings.introText, introDuration, cardSettings.introBackground, cardSettings.introColor, 0) : null,
+            outro: cardSettings.outroEnabled ? makeCard(cardSettings.outroText, cardSettings.outroDuration, cardSettings.outroBackground, cardSettings.outroColor, voiceEnd) : null,
+        };
+    }
+
+    // Length of the finished video: intro card, voice section and end card
+    function getVideoDuration(scene) {
+        return (scene.cards.intro?.duration || 0) + scene.duration + (scene.cards.outro?.duration || 0);
+    }
+
+    // Draws a title card: its own colour or the video background, the centred text and the watermark
+    function drawTitleCard(context, scene, card, time) {
+        const { layout, colors } = scene;
+        if (card.background === "color") {
+            context.fillStyle = card.color;
+            context.fillRect(0, 0, layout.width, layout.height);
+        } else {
+            drawBackground(context, layout, scene.background, colors);
+        }
+        if (card.lines.length) {
+            const captions = { ...scene.captions, animation: "none", transition: "fade", position: "center" };
+            drawCaption(context, { ...scene, captions }, card, time);
+        }
+        drawWatermark(context, scene);
+    }
+
+    // Draws the frame at `time` in the finished video: the intro card, the voice section
+    // (drawVideoFrame gets the time in the voice audio) or the end card
+    function drawTimelineFrame(context, scene, time) {
+        const { intro, outro } = scene.cards;
+        const introDuration = intro?.duration || 0;
+        if (intro && time < introDuration) drawTitleCard(context, scene, intro, time);
+        else if (outro && time >= introDuration + scene.duration) drawTitleCard(context, scene, outro, time);
+        else drawVideoFrame(context, scene, time - introDuration);
+    }
+
+    // Draws the progress bar along the bottom edge and the elapsed/remaining timer above it
+    function drawPlaybackOverlay(context, scene, time) {
+        const { layout, overlay, captions } = scene;
+        if (!(scene.duration > 0) || (!overlay.progressBar && !overlay.timer)) return;
+        const elapsed = Math.min(scene.duration, Math.max(0, time));
+        const barHeight = OVERLAY_BAR_HEIGHT * layout.scale;
+        context.save();
+        if (overlay.progressBar) {
+            context.fillStyle = OVERLAY_TRACK_COLOR;
+            context.fillRect(0, layout.height - barHeight, layout.width, barHeight);
+            context.fillStyle = captions.highlightColor; // Same accent as the spoken word
+            context.fillRect(0, layout.height - barHeight, layout.width * (elapsed / scene.duration), barHeight);
+        }
+        if (overlay.timer) {
+            const fontSize = Math.round(OVERLAY_TIMER_FONT_SIZE * layout.scale);
+            const margin = Math.min(layout.width, layout.height) * WATERMARK_MARGIN_RATIO;
+            context.font = `${captions.fontWeight} ${fontSize}px ${getCaptionFontStack("", captions.fontFamily)}`;
+            context.textAlign = "left";
+            context.textBaseline = "bottom";
+            context.direction = "ltr";
+            drawStyledText(context, `${formatTime(elapsed)} / -${formatTime(scene.duration - elapsed)}`,
+                margin, layout.height - barHeight - margin / 2, { strokeWidth: 0, shadowBlur: OVERLAY_TIMER_SHADOW * layout.scale });
+        }
+        context.restore();
+    }
+
+    // =====================
+    // Background Media
+    // =====================
+    // Loads a picked image or video file as the background and switches the type to match
+    function loadBackgroundFile(file) {
+        if (!file) return;
+        const isVideo = file.type.startsWith("video/");
+        if (!isVideo && !file.type.startsWith("image/")) {
+            showStatus("❌ Background must be an image or video file.", "error");
+            return;
+        }
+        clearBackgroundMedia();
+        backgroundMediaUrl = URL.createObjectURL(file);
+        if (isVideo) {
+            const video = document.createElement("video");
+            video.muted = true; // Only the voice (and music bed) is heard in the output
+            video.loop = true;
+            video.playsInline = true;
+            video.preload = "auto";
+            video.onloadeddata = () => {
+                console.log(`Background video loaded: ${video.videoWidth}x${video.videoHeight}, ${video.duration}s`);
+                showStatus(`✅ Background video loaded: ${file.name}`, "success");
+                schedulePreviewRefresh();
+            };
+            video.onerror = () => {
+                showStatus(`❌ Could not load background video: ${file.name}`, "error");
+                clearBackgroundMedia();
+            };
+            video.src = backgroundMediaUrl;
+            backgroundVideo = video;
+        } else {
+            const image = new Image();
+            image.onload = () => {
+                console.log(`Background image loaded: ${image.naturalWidth}x${image.naturalHeight}`);
+                showStatus(`✅ Background image loaded: ${file.name}`, "success");
+                schedulePreviewRefresh();
+            };
+            image.onerror = () => {
+                showStatus(`❌ Could not load background image: ${file.name}`, "error");
+                clearBackgroundMedia();
+            };
+            image.src = backgroundMediaUrl;
+            backgroundImage = image;
+        }
+        backgroundFileName.textContent = file.name;
+        backgroundTypeSelect.value = isVideo ? "video" : "image";
+        backgroundTypeSelect.dispatchEvent(new Event("change"));
+    }
+
+    // Releases the current background image/video
+    function clearBackgroundMedia() {
+        if (backgroundVideo) {
+            backgroundVideo.pause();
+            backgroundVideo.removeAttribute("src");
+            backgroundVideo.load();
+        }
+        backgroundVideo = null;
+        backgroundImage = null;
+        if (backgroundMediaUrl) { URL.revokeObjectURL(backgroundMediaUrl); backgroundMediaUrl = null; }
+        backgroundFileName.textContent = "No file chosen";
+    }
+
+    // =====================
+    // Watermark
+    // =====================
+    // Logos are only ever stored inline. A remote URL would be fetched on load and, being
+    // cross-origin, taint the canvas so that no export could read it back.
+    function isImageDataUrl(value) {
+        return typeof value === "string" && value.startsWith("data:image/");
+    }
+
+    // Loads the logo stored in watermarkSettings (a data URL) for drawing, and shows its name
+    function showWatermarkImage() {
+        watermarkImage = null;
+        watermarkFileName.textContent = watermarkSettings.image ? watermarkSettings.name || "Logo" : "No logo chosen";
+        clearWatermarkBtn.disabled = !watermarkSettings.image;
+        if (!watermarkSettings.image) return;
+        const image = new Image();
+        image.onload = () => {
+            if (watermarkSettings.image !== image.src) return; // Replaced while loading
+            watermarkImage = image;
+            schedulePreviewRefresh();
+        };
+        image.onerror = () => console.warn("Stored watermark image could not be loaded.");
+        image.src = watermarkSettings.image;
+    }
+
+    // Reads a logo file, scales it down to WATERMARK_MAX_SIZE and stores it as a PNG data URL,
+    // so the watermark survives reloads and travels inside exported templates
+    function loadWatermarkFile(file) {
+        if (!file) return;
+        if (!file.type.startsWith("image/")) {
+            showStatus("❌ Watermark must be an image file.", "error");
+            return;
+        }
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, WATERMARK_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            watermarkSettings = { ...watermarkSettings, image: canvas.toDataURL("image/png"), name: file.name };
+            saveStoredSettings("watermark", watermarkSettings);
+            showWatermarkImage();
+            showStatus(`✅ Watermark loaded: ${file.name}`, "success");
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            showStatus(`❌ Could not load watermark image: ${file.name}`, "error");
+        };
+        image.src = url;
+    }
+
+    // =====================
+    // Style Templates
+    // =====================
+    // Settings sections a template carries, with the function that loads each into its controls
+    const TEMPLATE_SECTIONS = {
+        captions: restoreCaptionSettings,
+        background: restoreBackgroundSettings,
+        visualizer: restoreVisualizerSettings,
+        watermark: restoreWatermarkSettings,
+    };
+
+    // Current look as a template object (background media files are not included)
+    function createStyleTemplate(name) {
+        return {
+            type: TEMPLATE_FILE_TYPE,
+            version: TEMPLATE_VERSION,
+            name,
+            captions: { ...captionSettings },
+            background: { ...backgroundSettings },
+            visualizer: { ...visualizerSettings },
+            watermark: { ...watermarkSettings },
+        };
+    }
+
+    // Applies a template's sections over the current settings and refreshes every control.
+    // Sections missing from the template are left as they are.
+    function applyStyleTemplate(template) {
+        Object.entries(TEMPLATE_SECTIONS).forEach(([section, restore]) => {
+            if (!template[section] || typeof template[section] !== "object") return;
+            saveStoredSettings(section, template[section]);
+            restore(); // Reloads through the defaults and validation, so older templates still apply
+        });
+        schedulePreviewRefresh();
+        const needsMedia = ["image", "video"].includes(backgroundSettings.type) && !backgroundImage && !backgroundVideo;
+        showStatus(needsMedia
+            ? `✅ Template "${template.name}" applied. Choose a background ${backgroundSettings.type} file to complete it.`
+            : `✅ Template "${template.name}" applied.`, "success");
+    }
+
+    // Refills the template dropdown from localStorage, keeping `selected` chosen when given
+    function updateTemplateList(selected = templateSelect.value) {
+        const names = Object.keys(loadStoredSettings("templates", {})).sort((a, b) => a.localeCompare(b));
+        templateSelect.replaceChildren(...names.map((name) => new Option(name, name)));
+        if (names.includes(selected)) templateSelect.value = selected;
+        [applyTemplateBtn, deleteTemplateBtn, exportTemplateBtn].forEach((btn) => { btn.disabled = !names.length; });
+    }
+
+    // Stores a template under its name, replacing any template with the same name
+    function storeStyleTemplate(template) {
+        const templates = loadStoredSettings("templates", {});
+        templates[template.name] = template;
+        saveStoredSettings("templates", templates);
+        updateTemplateList(template.name);
+    }
+
+    function saveStyleTemplate() {
+        const name = templateNameInput.value.trim();
+        if (!name) {
+            showStatus("Enter a name for the template.", "warning");
+            templateNameInput.focus();
+            return;
+        }
+        if (loadStoredSettings("templates", {})[name] && !confirm(`Replace the template "${name}"?`)) return;
+        storeStyleTemplate(createStyleTemplate(name));
+        showStatus(`✅ Template "${name}" saved.`, "success");
+    }
+
+    function deleteStyleTemplate() {
+        const name = templateSelect.value;
+        const templates = loadStoredSettings("templates", {});
+        if (!templates[name] || !confirm(`Delete the template "${name}"?`)) return;
+        delete templates[name];
+        saveStoredSettings("templates", templates);
+        updateTemplateList();
+        showStatus(`Template "${name}" deleted.`, "info");
+    }
+
+    // Downloads the selected template as a JSON file others can import
+    function exportStyleTemplate() {
+        const template = loadStoredSettings("templates", {})[templateSelect.value];
+        if (!template) return;
+        const json = JSON.stringify(template, null, 2);
+        downloadBlob(new Blob([json], { type: "application/json" }), getSanitizedFilename({ value: template.name }, DEFAULT_TEMPLATE_FILENAME_BASE, ".json"));
+    }
+
+    // Reads a template JSON file, stores it and applies it
+    async function importStyleTemplate(file) {
+        if (!file) return;
+        try {
+            const template = JSON.parse(await file.text());
+            if (template?.type !== TEMPLATE_FILE_TYPE) throw new Error("Not a style template file.");
+            if (template.version > TEMPLATE_VERSION) throw new Error("The template was made by a newer version of this app.");
+            template.name = String(template.name || file.name.replace(/\.[^/.]+$/, "")).trim();
+            if (template.watermark && typeof template.watermark === "object" && !isImageDataUrl(template.watermark.image)) {
+                template.watermark = { ...template.watermark, image: "", name: "" };
+            }
+            storeStyleTemplate(template);
+            templateNameInput.value = template.name;
+            applyStyleTemplate(template);
+        } catch (e) {
+            console.error("Template import failed:", e);
+            showStatus(`❌ Could not import template: ${e.message}`, "error");
+        }
+    }
+
+    // =====================
+    // Live Preview
+    // =====================
+    // Draws the preview frame for a time in the audio (defaults to wavesurfer's position)
+    function drawPreviewFrame(time = wavesurfer?.getCurrentTime() || 0) {
+        // The export owns the background video while it renders, so the preview waits
+        if (!previewScene || !videoProgressDiv.hidden) return;
+        drawVideoFrame(previewContext, previewScene, time);
+    }
+
+    // Analyser and envelope for the waveform's decoded audio, reused until the audio changes
+    function getPreviewAudio(style) {
+        const buffer = wavesurfer?.isReady ? wavesurfer.getDecodedData() : null;
+        if (!buffer || style === "none") return null;
+        if (previewAudio?.buffer !== buffer) previewAudio = { buffer, analyser: createBufferAnalyser(buffer), envelope: null };
+        if (style === "waveform" && !previewAudio.envelope) previewAudio.envelope = computePeakEnvelope(buffer);
+        return previewAudio;
+    }
+
+    // Rebuilds the preview scene from the current settings and transcript, then redraws it
+    async function refreshPreview() {
+        const buildId = ++previewBuildId;
+        const layout = getVideoLayout(videoSettings);
+        if (previewCanvas.width !== layout.width || previewCanvas.height !== layout.height) {
+            previewCanvas.width = layout.width; // Resizing also resets the context state below
+            previewCanvas.height = layout.height;
+        }
+        previewContext.textAlign = "center";
+        previewContext.textBaseline = "middle";
+
+        const scene = createVideoScene(layout);
+        scene.audio = getPreviewAudio(scene.visualizer.style);
+        const transcript = subtitle.value.trim();
+        const duration = wavesurfer?.isReady ? loadedAudioDuration : 0;
+        if (videoSettings.burnCaptions && transcript && duration > 0) scene.cues = await prepareCaptionCues(previewContext, transcript, duration, layout);
+        scene.duration = duration; // The preview follows the waveform, so it shows the voice section without title cards
+        if (buildId !== previewBuildId) return; // A newer refresh started while the fonts loaded
+        previewScene = scene;
+        drawPreviewFrame();
+    }
+
+    // Coalesces bursts of changes (typing, dragging a slider) into one refresh per animation frame
+    function schedulePreviewRefresh() {
+        if (previewRefreshId) return;
+        previewRefreshId = requestAnimationFrame(() => {
+            previewRefreshId = null;
+            refreshPreview().catch((e) => console.warn("Preview refresh failed:", e));
+        });
+    }
+
+    // Keeps the looping background video in step with wavesurfer while previewing
+    function syncPreviewBackground(time, playing) {
+        if (!backgroundVideo || backgroundSettings.type !== "video" || !videoProgressDiv.hidden) return;
+        if (playing) {
+            if (backgroundVideo.duration > 0) backgroundVideo.currentTime = time % backgroundVideo.duration;
+            backgroundVideo.play().catch((e) => console.warn("Preview background playback failed:", e));
+            return;
+        }
+        backgroundVideo.pause();
+        if (backgroundVideo.duration > 0) {
+            backgroundVideo.addEventListener("seeked", () => drawPreviewFrame(), { once: true });
+            backgroundVideo.currentTime = time % backgroundVideo.duration;
+        }
+    }
+
+    // =====================
+    // GIF Encoding
+    // =====================
+    // Sorts pixel colours into GIF_HISTOGRAM_BITS-per-channel bins, counting each bin and summing
+    // the exact colours in it. Fills `bins` (one entry per pixel) for mapping to the palette later.
+    function addGifHistogram(histogram, rgba, bins) {
+        const shift = 8 - GIF_HISTOGRAM_BITS;
+        for (let i = 0, p = 0; i < bins.length; i++, p += 4) {
+            const bin = ((rgba[p] >> shift) << (2 * GIF_HISTOGRAM_BITS)) | ((rgba[p + 1] >> shift) << GIF_HISTOGRAM_BITS) | (rgba[p + 2] >> shift);
+            bins[i] = bin;
+            histogram.counts[bin]++;
+            histogram.sums[bin * 3] += rgba[p];
+            histogram.sums[bin * 3 + 1] += rgba[p + 1];
+            histogram.sums[bin * 3 + 2] += rgba[p + 2];
+        }
+    }
+
+    function createGifHistogram() {
+        const size = 1 << (3 * GIF_HISTOGRAM_BITS);
+        return { counts: new Uint32Array(size), sums: new Float64Array(size * 3) };
+    }
+
+    // Median cut: keeps splitting the box of bins with the widest colour range at its median pixel
+    // until there are GIF_MAX_COLORS boxes. Returns the palette (average colour of each box) and
+    // the palette index of every bin.
+    function buildGifPalette(histogram) {
+        const { counts, sums } = histogram;
+        const mask = (1 << GIF_HISTOGRAM_BITS) - 1;
+        const channel = (bin, c) => (bin >> ((2 - c) * GIF_HISTOGRAM_BITS)) & mask;
+        const used = [];
+        counts.forEach((count, bin) => { if (count) used.push(bin); });
+        const boxes = [used];
+        while (boxes.length < GIF_MAX_COLORS) {
+            let best = null;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let c = 0; c < 3; c++) {
+                    let min = mask;
+                    let max = 0;
+                    box.forEach((bin) => {
+                        const value = channel(bin, c);
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    });
+                    if (!best || max - min > best.range) best = { index, c, range: max - min };
+                }
+            });
+            if (!best) break; // Every box is a single bin: the palette holds every colour
+            const box = boxes[best.index].sort((a, b) => channel(a, best.c) - channel(b, best.c));
+            const half = box.reduce((sum, bin) => sum + counts[bin], 0) / 2;
+            let split = 1;
+            for (let seen = counts[box[0]]; split < box.length - 1 && seen < half; split++) seen += counts[box[split]];
+            boxes.splice(best.index, 1, box.slice(0, split), box.slice(split));
+        }
+
+        const binIndices = new Uint8Array(counts.length);
+        const palette = boxes.map((box, index) => {
+            let total = 0;
+            const color = [0, 0, 0];
+            box.forEach((bin) => {
+                binIndices[bin] = index;
+                total += counts[bin];
+                for (let c = 0; c < 3; c++) color[c] += sums[bin * 3 + c];
+            });
+            return color.map((sum) => Math.round(sum / Math.max(1, total)));
+        });
+        return { palette, binIndices };
+    }
+
+    // LZW-compresses one frame of palette indices into GIF data sub-blocks (ending with the terminator)
+    function encodeGifLzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const codes = new Map(); // (prefix code << 8 | index) -> code
+        const bytes = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bytes.push(bitBuffer & 0xff);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = codes.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === GIF_MAX_CODE) {
+                // The table is full: start over
+                emit(clearCode);
+                codes.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                // The decoder adds this entry one code later, so the code size grows before it is used
+                if (nextCode >= 1 << codeSize) codeSize++;
+                codes.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+        // Data sub-blocks hold at most 255 bytes, each after its length
+        const blocks = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255) + 2);
+        let offset = 0;
+        blocks[offset++] = minCodeSize;
+        for (let i = 0; i < bytes.length; i += 255) {
+            const block = bytes.slice(i, i + 255);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        blocks[offset] = 0; // Block terminator
+        return blocks;
+    }
+
+    // Builds a looping GIF89a from frames of palette indices sharing one global palette.
+    // Delays are in hundredths of a second, per frame.
+    async function encodeGif(width, height, palette, frames, delays) {
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length))); // Table size is 2^tableBits
+        const minCodeSize = Math.max(2, tableBits);
+        const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+        const colorTable = new Uint8Array(3 << tableBits);
+        palette.forEach((color, i) => colorTable.set(color, i * 3));
+
+        const parts = [
+            new Uint8Array([
+                ...[..."GIF89a"].map((char) => char.charCodeAt(0)),
+                ...word(width), ...word(height), 0xf0 | (tableBits - 1), 0, 0, // Global colour table, 8-bit colour resolution
+            ]),
+            colorTable,
+            // NETSCAPE2.0 application extension: loop forever
+            new Uint8Array([0x21, 0xff, 0x0b, ...[..."NETSCAPE2.0"].map((char) => char.charCodeAt(0)), 0x03, 0x01, 0, 0, 0]),
+        ];
+        let lastYieldTime = performance.now();
+        for (let i = 0; i < frames.length; i++) {
+            parts.push(new Uint8Array([
+                0x21, 0xf9, 0x04, 0x04, ...word(delays[i]), 0, 0, // Graphic control: keep the frame, delay
+                0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0, // Full-frame image, global palette
+            ]));
+            parts.push(encodeGifLzw(frames[i], minCodeSize));
+            if (performance.now() - lastYieldTime > OFFLINE_YIELD_INTERVAL) {
+                await new Promise((resolve) => setTimeout(resolve, 0));
+                lastYieldTime = performance.now();
+            }
+        }
+        parts.push(new Uint8Array([0x3b])); // Trailer
+        return new Blob(parts, { type: "image/gif" });
+    }
+
+    // =====================
+    // Poster & GIF Export
+    // =====================
+    // Canvas that draws a scene at any time through drawVideoFrame, scaled down to `width`
+    // (0 keeps the video size). A video background is paused and seeked to each frame.
+    function createStillRenderer(scene, width) {
+        const { layout } = scene;
+        const frameCanvas = document.createElement("canvas");
+        frameCanvas.width = layout.width;
+        frameCanvas.height = layout.height;
+        const frameContext = frameCanvas.getContext("2d");
+        frameContext.textAlign = "center";
+        frameContext.textBaseline = "middle";
+
+        const scale = width > 0 ? Math.min(1, width / layout.width) : 1;
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(layout.width * scale);
+        canvas.height = Math.round(layout.height * scale);
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+        context.imageSmoothingQuality = "high";
+
+        const seekBackground = scene.background.type === "video" && backgroundVideo;
+        if (seekBackground) backgroundVideo.pause();
+        return {
+            canvas,
+            context,
+            async draw(time) {
+                if (seekBackground) await seekBackgroundVideo(backgroundVideo, time);
+                drawVideoFrame(frameContext, scene, time);
+                context.drawImage(frameCanvas, 0, 0, canvas.width, canvas.height);
+            },
+        };
+    }
+
+    // Time range the GIF covers: the keep region when one is marked, otherwise gifSettings.duration
+    // from the waveform cursor. Both are capped at GIF_MAX_DURATION.
+    function getGifRange() {
+        const keep = regionsPlugin?.getRegions().find((region) => region.trimKind === "keep");
+        if (keep) return { start: keep.start, end: Math.min(keep.end, keep.start + GIF_MAX_DURATION, loadedAudioDuration) };
+        const start = Math.max(0, Math.min(wavesurfer.getCurrentTime(), loadedAudioDuration - gifSettings.duration));
+        return { start, end: Math.min(start + gifSettings.duration, loadedAudioDuration) };
+    }
+
+    // Saves the preview frame at the waveform position as a PNG, for posters and thumbnails
+    async function savePosterFrame() {
+        wavesurfer?.pause(); // Playback would keep seeking the background video under the poster
+        const time = wavesurfer?.getCurrentTime() || 0;
+        const state = audioBlob ? "recorded" : "idle"; // Posters also work before any audio is loaded
+        updateButtonStates("processing");
+        showStatus("⏳ Rendering poster frame...", "processing", 0);
+        try {
+            await refreshPreview(); // Picks up settings changed since the last scheduled refresh
+            const renderer = createStillRenderer(previewScene, gifSettings.posterWidth);
+            await renderer.draw(time);
+            const blob = await new Promise((resolve) => renderer.canvas.toBlob(resolve, "image/png"));
+            if (!blob) throw new Error("The canvas could not be encoded as PNG.");
+            console.log(`Poster frame at ${time.toFixed(2)}s: ${renderer.canvas.width}x${renderer.canvas.height}, ${blob.size} bytes`);
+            updateButtonStates(state);
+            downloadBlob(blob, getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, ".png"));
+        } catch (e) {
+            console.error("Poster frame export failed:", e);
+            updateButtonStates(state);
+            showStatus(`❌ Poster frame failed: ${e.message}`, "error");
+        } finally {
+            syncPreviewBackground(time, false); // Puts back the background video frame seeked for the poster
+            drawPreviewFrame();
+        }
+    }
+
+    // Renders the GIF range from the preview scene, quantizes all frames to one shared palette and
+    // downloads the GIF. Frames are kept as histogram bins until the palette is known.
+    async function saveGif() {
+        wavesurfer.pause(); // Playback would keep seeking the background video between frames
+        const { start, end } = getGifRange();
+        const { frameRate, width } = gifSettings;
+        const frameCount = Math.max(1, Math.round((end - start) * frameRate));
+        updateButtonStates("processing");
+        try {
+            await refreshPreview();
+            const renderer = createStillRenderer(previewScene, width);
+            const { canvas, context } = renderer;
+            const histogram = createGifHistogram();
+            const frames = [];
+            for (let i = 0; i < frameCount; i++) {
+                showStatus(`⏳ Rendering GIF frames... ${Math.round((i / frameCount) * 100)}%`, "processing", 0);
+                await renderer.draw(start + i / frameRate);
+                const bins = new Uint16Array(canvas.width * canvas.height);
+                addGifHistogram(histogram, context.getImageData(0, 0, canvas.width, canvas.height).data, bins);
+                frames.push(bins);
+                await new Promise((resolve) => setTimeout(resolve, 0)); // Let the status repaint
+            }
+
+            showStatus("⏳ Encoding GIF...", "processing", 0);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            const { palette, binIndices } = buildGifPalette(histogram);
+            const indexedFrames = frames.map((bins) => {
+                const indices = new Uint8Array(bins.length);
+                for (let i = 0; i < bins.length; i++) indices[i] = binIndices[bins[i]];
+                return indices;
+            });
+            // Whole-frame delays in hundredths of a second, rounded so they add up to the real length
+            const delays = indexedFrames.map((_, i) => Math.round(((i + 1) * 100) / frameRate) - Math.round((i * 100) / frameRate));
+            const blob = await encodeGif(canvas.width, canvas.height, palette, indexedFrames, delays);
+            console.log(`GIF ${formatTime(start)}-${formatTime(end)}: ${frameCount} frames at ${canvas.width}x${canvas.height}, ${palette.length} colours, ${blob.size} bytes`);
+            downloadBlob(blob, getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, ".gif"));
+        } catch (e) {
+            console.error("GIF export failed:", e);
+            showStatus(`❌ GIF export failed: ${e.message}`, "error");
+        } finally {
+            updateButtonStates("recorded");
+            syncPreviewBackground(wavesurfer.getCurrentTime(), false);
+            drawPreviewFrame();
+        }
+    }
+
+    // =====================
+    // Subtitle Track
+    // =====================
+    // Caption phrases for the soft subtitle track, moved past the intro card onto the video timeline
+    function getSubtitleCues(transcript, duration, spans, offset) {
+        return buildCaptionCues(transcript, duration, spans).map((cue) => ({ ...cue, start: cue.start + offset, end: cue.end + offset }));
+    }
+
+    // Encodes the cues as WebVTT onto a webm-muxer subtitle track. The muxer holds the chunks back
+    // and writes each one once the video reaches its time, so they can all be added up front.
+    function addSubtitleTrack(muxer, cues) {
+        const encoder = new WebMMuxer.SubtitleEncoder({
+            output: (chunk, meta) => muxer.addSubtitleChunk(chunk, meta),
+            error: (e) => console.error("Subtitle encoding failed:", e),
+        });
+        encoder.configure({ codec: "webvtt" });
+        encoder.encode(buildWebVtt(cues));
+    }
+
+    // Saves the captions as a WebVTT file next to a recording the subtitle track could not be added to
+    function downloadSubtitleSidecar(cues) {
+        const filename = getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, ".vtt");
+        downloadBlob(new Blob([buildWebVtt(cues)], { type: "text/vtt" }), filename);
+        showStatus("⚠️ The subtitle track could not be added to this recording; the captions were saved as a separate .vtt file.", "warning", 8000);
+    }
+
+    // Reads an EBML variable-length integer at `pos`. Element IDs keep their length marker bits; sizes don't.
+    function readEbmlVint(bytes, pos, keepMarker = false) {
+        const first = bytes[pos];
+        if (!first) throw new Error(`Invalid EBML data at byte ${pos}.`);
+        const length = Math.clz32(first) - 23; // Leading zero bits of the first byte, plus one
+        let value = keepMarker ? first : first & (0xff >> length);
+        for (let i = 1; i < length; i++) value = value * 256 + bytes[pos + i];
+        return { value, length, isUnknown: !keepMarker && value === 2 ** (7 * length) - 1 };
+    }
 
+    function readEbmlUint(bytes, start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+        return value;
+    }
 
-            // --- Process Audio Blob (Waveform/Playback) ---
-            if (wavesurfer) {
-                updateButtonStates("processing");
-                showStatus("⏳ Processing audio waveform...", "processing", 0);
-                try {
-                    // Asynchronous operation, errors go to wavesurfer.on('error')
-                   wavesurfer.loadBlob(audioBlob);
-                   console.log("wavesurfer.loadBlob called.");
-
-                  // wavesurfer.load('recorded_audio.webm'); 
-                  // console.log("wavesurfer.load called with static file.");
-
-                    // UI state updates (to 'recorded') happen in wavesurfer.on('ready') or wavesurfer.on('error')
-                } catch (loadError) {
-                    // Catch SYNC errors during loadBlob call
-                    console.error("Synchronous error during wavesurfer.loadBlob call:", loadError);
-                    alert(`Waveform Load Error (sync): ${loadError.message}`);
-                    // Destroy Wavesurfer on sync error
-                    if (wavesurfer) {
-                        try { wavesurfer.destroy(); } catch(e) { console.warn("Error destroying wavesurfer after sync error:", e); }
-                        wavesurfer = null;
-                    }
-                    resetApp(true); // Reset UI but try to preserve audio blob
+    // Reads the tracks and SimpleBlocks of a WebM/Matroska file, as written by MediaRecorder
+    // (live-style: unknown-size Segment and Clusters, no lacing). Master elements on the path
+    // to the data are stepped into; everything else is skipped by its size.
+    function demuxWebm(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const tracks = [];
+        const blocks = []; // { track, timestamp (microseconds), isKey, data }
+        let track = null;
+        let timecodeScale = 1000000; // Nanoseconds per timecode unit (the Matroska default: milliseconds)
+        let clusterTime = 0;
+        let pos = 0;
+        while (pos < bytes.length) {
+            const id = readEbmlVint(bytes, pos, true);
+            const size = readEbmlVint(bytes, pos + id.length);
+            const start = pos + id.length + size.length;
+            const end = size.isUnknown ? bytes.length : Math.min(bytes.length, start + size.value);
+            if (EBML_MASTER_IDS.has(id.value)) {
+                if (id.value === EBML_IDS.trackEntry) tracks.push(track = {});
+                pos = start;
+                continue;
+            }
+            switch (id.value) {
+                case EBML_IDS.timecodeScale: timecodeScale = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.trackNumber: track.number = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.trackType: track.type = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.codecId: track.codecId = String.fromCharCode(...bytes.subarray(start, end)).replace(/\0+$/, ""); break;
+                case EBML_IDS.codecPrivate: track.codecPrivate = bytes.slice(start, end); break;
+                case EBML_IDS.pixelWidth: track.width = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.pixelHeight: track.height = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.samplingFrequency: track.sampleRate = end - start === 4 ? view.getFloat32(start) : view.getFloat64(start); break;
+                case EBML_IDS.channels: track.channels = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.timecode: clusterTime = readEbmlUint(bytes, start, end); break;
+                case EBML_IDS.simpleBlock: {
+                    const trackNumber = readEbmlVint(bytes, start);
+                    const header = start + trackNumber.length; // Relative timecode (int16), then flags
+                    const flags = bytes[header + 2];
+                    if (flags & 0x06) throw new Error("Laced blocks are not supported.");
+                    blocks.push({
+                        track: trackNumber.value,
+                        timestamp: Math.max(0, ((clusterTime + view.getInt16(header)) * timecodeScale) / 1000),
+                        isKey: (flags & 0x80) !== 0,
+                        data: bytes.slice(header + 3, end),
+                    });
+                    break;
                 }
-            } else {
-                console.warn("WaveSurfer instance not available. Falling back to basic audio info.");
-                updateButtonStates("recorded");
-                showStatus("✅ Audio recorded. Waveform unavailable.", "success");
-                subtitle.readOnly = false;
-                subtitle.placeholder = "Transcription ready. Edit if needed.";
+            }
+            pos = end;
+        }
+        return { tracks, blocks };
+    }
 
-                // Attempt to get duration using a temporary HTML audio element
-                const tempAudio = document.createElement('audio');
-                tempAudio.onloadedmetadata = () => {
-                    console.log("Temporary audio element loaded metadata.");
-                    audioDurationSpan.textContent = formatTime(tempAudio.duration);
-                    URL.revokeObjectURL(tempAudio.src);
-                };
-                tempAudio.onerror = (e) => {
-                    console.error("Temporary audio element error:", e);
-                    showStatus("⚠️ Audio recorded, but playback/duration failed (temp element).", "warning");
-                    if (tempAudio.src) URL.revokeObjectURL(tempAudio.src);
-                };
-                tempAudio.onabort = () => {
-                      console.warn("Temporary audio element aborted loading.");
-                      if (tempAudio.src) URL.revokeObjectURL(tempAudio.src);
-                };
-                tempAudio.src = URL.createObjectURL(audioBlob);
-                console.log("Attempting to load blob into temporary audio element.");
+    // Rewrites a recorded WebM with a WebVTT subtitle track added. Codecs outside the WebM set
+    // (like H.264 from some recorders) go into a Matroska (.mkv) file instead.
+    async function remuxWebmWithSubtitles(blob, cues) {
+        const { tracks, blocks } = demuxWebm(await blob.arrayBuffer());
+        const videoTrack = tracks.find((candidate) => candidate.type === 1);
+        const audioTrack = tracks.find((candidate) => candidate.type === 2);
+        if (!videoTrack?.width || !videoTrack.height || !blocks.length) throw new Error("No video found in the recording.");
+        const isWebm = [videoTrack, audioTrack].filter(Boolean).every((candidate) => WEBM_CODEC_IDS.includes(candidate.codecId));
+
+        const muxer = new WebMMuxer.Muxer({
+            target: new WebMMuxer.ArrayBufferTarget(),
+            type: isWebm ? "webm" : "matroska",
+            video: { codec: videoTrack.codecId, width: videoTrack.width, height: videoTrack.height },
+            ...(audioTrack && { audio: { codec: audioTrack.codecId, numberOfChannels: audioTrack.channels || 1, sampleRate: Math.round(audioTrack.sampleRate || OFFLINE_AUDIO_SAMPLE_RATE) } }),
+            subtitles: { codec: WEBM_SUBTITLE_CODEC },
+            firstTimestampBehavior: "offset",
+        });
+        addSubtitleTrack(muxer, cues);
+        // CodecPrivate (e.g. the Opus header) goes along with each track's first chunk
+        const getMeta = (source) => (source?.codecPrivate ? { decoderConfig: { description: source.codecPrivate } } : undefined);
+        let videoMeta = getMeta(videoTrack);
+        let audioMeta = getMeta(audioTrack);
+        blocks.forEach((block) => {
+            if (block.track === videoTrack.number) {
+                muxer.addVideoChunkRaw(block.data, block.isKey ? "key" : "delta", block.timestamp, videoMeta);
+                videoMeta = undefined;
+            } else if (block.track === audioTrack?.number) {
+                muxer.addAudioChunkRaw(block.data, "key", block.timestamp, audioMeta);
+                audioMeta = undefined;
             }
-            // --- End Process Audio Blob ---
-        };
+        });
+        muxer.finalize();
+        console.log(`Remuxed ${blocks.length} blocks with ${cues.length} subtitle cues (${isWebm ? "WebM" : "Matroska"}).`);
+        return isWebm
+            ? { blob: new Blob([muxer.target.buffer], { type: "video/webm" }), extension: ".webm" }
+            : { blob: new Blob([muxer.target.buffer], { type: "video/x-matroska" }), extension: ".mkv" };
+    }
 
-        // Handle errors during the recording session
-        mediaRecorder.onerror = (event) => {
-            console.error("MediaRecorder error during session:", event.error);
-            showStatus(`❌ Recording Error: ${event.error.name || 'Unknown'}`, "error", 0);
-            // Force reset after a short delay if still in recording/processing state
-            setTimeout(() => {
-                 if (isRecording || isProcessingStop) {
-                    console.warn("Forcing reset after MediaRecorder error timeout.");
-                    resetApp(false);
-                 }
-            }, 50);
-        };
-         // --- End MediaRecorder Event Handlers ---
+    // ISO BMFF box from its four-character type and payload parts (byte arrays)
+    function createMp4Box(type, ...parts) {
+        const size = 8 + parts.reduce((sum, part) => sum + part.length, 0);
+        const box = new Uint8Array(size);
+        new DataView(box.buffer).setUint32(0, size);
+        box.set([...type].map((char) => char.charCodeAt(0)), 4);
+        let offset = 8;
+        parts.forEach((part) => {
+            box.set(part, offset);
+            offset += part.length;
+        });
+        return box;
+    }
 
+    // Box with the version and flags header of an ISO BMFF "full box"
+    function createMp4FullBox(type, version, flags, ...parts) {
+        return createMp4Box(type, [version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff], ...parts);
+    }
 
-        // --- Speech Recognition Setup and Start ---
-        if (hasSpeechRecognition) {
-            if (!recognition) {
-                recognition = new SpeechRecognition();
-                recognition.lang = "en-US";
-                recognition.continuous = true;
-                recognition.interimResults = true;
-                recognition.maxAlternatives = 1;
-
-                recognition.onstart = () => { console.log("SpeechRecognition started."); };
-                recognition.onresult = (event) => {
-                    let interim = "";
-                    let currentFinal = "";
-                    for (let i = event.resultIndex; i < event.results.length; i++) {
-                        const result = event.results[i][0];
-                        const transcript = result.transcript;
-                        if (event.results[i].isFinal) currentFinal += transcript.trim() + " ";
-                        else interim += transcript;
-                    }
-                    if (currentFinal) finalTranscript += currentFinal;
-                    subtitle.value = (finalTranscript + interim).trim();
-                    subtitle.scrollTop = subtitle.scrollHeight;
-                };
-                recognition.onerror = (e) => {
-                    console.error("SpeechRecognition error:", e);
-                    if (!["no-speech", "aborted", "audio-capture"].includes(e.error)) {
-                        showStatus(`⚠️ Speech Rec Error: ${e.error}.`, "warning");
-                    }
-                };
-                recognition.onend = () => {
-                    console.log("SpeechRecognition ended.");
-                    subtitle.value = finalTranscript.trim();
-                };
+    // Big-endian 16- and 32-bit fields for box payloads
+    function mp4Uint16(...values) {
+        const bytes = new Uint8Array(values.length * 2);
+        values.forEach((value, i) => new DataView(bytes.buffer).setUint16(i * 2, value));
+        return bytes;
+    }
+
+    function mp4Uint32(...values) {
+        const bytes = new Uint8Array(values.length * 4);
+        values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value));
+        return bytes;
+    }
+
+    // Boxes between `start` and `end` of `bytes`: { type, start, end, headerSize }
+    function readMp4Boxes(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const boxes = [];
+        for (let pos = start; pos + 8 <= end;) {
+            let size = view.getUint32(pos);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(pos + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - pos; // The box runs to the end
             }
-            // Attempt to start speech recognition
+            if (size < headerSize) throw new Error(`Invalid MP4 box size at byte ${pos}.`);
+            boxes.push({ type: String.fromCharCode(...bytes.subarray(pos + 4, pos + 8)), start: pos, end: pos + size, headerSize });
+            pos += size;
+        }
+        return boxes;
+    }
+
+    // Subtitle samples for an MP4 WebVTT track: one "vttc" box per cue, with "vtte" (empty) samples
+    // filling the gaps so the samples run back to back. Durations are in MP4_SUBTITLE_TIMESCALE units.
+    function createMp4SubtitleSamples(cues) {
+        const encoder = new TextEncoder();
+        const samples = [];
+        let time = 0;
+        [...cues].sort((a, b) => a.start - b.start).forEach((cue) => {
+            const start = Math.max(time, Math.round(cue.start * MP4_SUBTITLE_TIMESCALE));
+            const end = Math.round(cue.end * MP4_SUBTITLE_TIMESCALE);
+            if (end <= start) return;
+            if (start > time) samples.push({ data: createMp4Box("vtte"), duration: start - time });
+            samples.push({ data: createMp4Box("vttc", createMp4Box("payl", encoder.encode(escapeWebVttText(cue.text)))), duration: end - start });
+            time = end;
+        });
+        return samples;
+    }
+
+    // Adds a WebVTT subtitle track (ISO/IEC 14496-30) to a finished MP4 from Mp4Muxer, which has
+    // no subtitle support of its own. Expects the fast-start layout (moov before mdat): the cue
+    // samples go on the end of the mdat, and the other tracks' chunk offsets move by the size of
+    // the new trak box.
+    function addMp4SubtitleTrack(buffer, cues) {
+        const bytes = new Uint8Array(buffer);
+        const topBoxes = readMp4Boxes(bytes, 0, bytes.length);
+        const moov = topBoxes.find((box) => box.type === "moov");
+        const mdat = topBoxes.find((box) => box.type === "mdat");
+        if (!moov || !mdat || moov.start > mdat.start) throw new Error("Expected an MP4 with the moov box before the mdat box.");
+        const samples = createMp4SubtitleSamples(cues);
+        if (!samples.length) return new Blob([bytes], { type: "video/mp4" });
+
+        const moovBytes = bytes.slice(moov.start, moov.end);
+        const moovView = new DataView(moovBytes.buffer);
+        const moovChildren = readMp4Boxes(moovBytes, moov.headerSize, moovBytes.length);
+        const mvhd = moovChildren.find((box) => box.type === "mvhd");
+        if (!mvhd) throw new Error("The MP4 has no movie header.");
+        const isLongMvhd = moovBytes[mvhd.start + 8] === 1; // Version 1 has 64-bit times and duration
+        const timescaleOffset = mvhd.start + 12 + (isLongMvhd ? 16 : 8); // After the creation/modification times
+        const movieTimescale = moovView.getUint32(timescaleOffset);
+        const trackId = moovView.getUint32(mvhd.end - 4); // next_track_ID is the last mvhd field
+        const mediaDuration = samples.reduce((sum, sample) => sum + sample.duration, 0);
+        const trackDuration = Math.round((mediaDuration / MP4_SUBTITLE_TIMESCALE) * movieTimescale); // In movie timescale units
+        const sampleSizes = samples.map((sample) => sample.data.length);
+        const sampleData = new Uint8Array(sampleSizes.reduce((sum, size) => sum + size, 0));
+        samples.reduce((offset, sample) => {
+            sampleData.set(sample.data, offset);
+            return offset + sample.data.length;
+        }, 0);
+
+        const trak = createMp4Box("trak",
+            createMp4FullBox("tkhd", 0, 3, // Enabled, in movie
+                mp4Uint32(0, 0, trackId, 0, trackDuration, 0, 0),
+                mp4Uint16(0, 0, 0, 0), // Layer, alternate group, volume, reserved
+                mp4Uint32(0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000, 0, 0)), // Identity matrix, no width/height
+            createMp4Box("mdia",
+                createMp4FullBox("mdhd", 0, 0, mp4Uint32(0, 0, MP4_SUBTITLE_TIMESCALE, mediaDuration), mp4Uint16(0x55c4, 0)), // Language "und"
+                createMp4FullBox("hdlr", 0, 0, mp4Uint32(0), new TextEncoder().encode("text"), mp4Uint32(0, 0, 0), new TextEncoder().encode("SubtitleHandler\0")),
+                createMp4Box("minf",
+                    createMp4FullBox("nmhd", 0, 0),
+                    createMp4Box("dinf", createMp4FullBox("dref", 0, 0, mp4Uint32(1), createMp4FullBox("url ", 0, 1))), // Media in this file
+                    createMp4Box("stbl",
+                        createMp4FullBox("stsd", 0, 0, mp4Uint32(1),
+                            createMp4Box("wvtt", new Uint8Array(6), mp4Uint16(1), createMp4Box("vttC", new TextEncoder().encode("WEBVTT")))),
+                        createMp4FullBox("stts", 0, 0, mp4Uint32(samples.length, ...samples.flatMap((sample) => [1, sample.duration]))),
+                        createMp4FullBox("stsc", 0, 0, mp4Uint32(1, 1, samples.length, 1)), // All samples in one chunk
+                        createMp4FullBox("stsz", 0, 0, mp4Uint32(0, samples.length, ...sampleSizes)),
+                        createMp4FullBox("stco", 0, 0, mp4Uint32(1, 0)))))); // Chunk offset, filled in below
+
+        // Everything from the moov on moves by the size of the new trak
+        const shift = trak.length;
+        moovChildren.filter((box) => box.type === "trak").forEach((trackBox) => {
+            const stbl = ["mdia", "minf", "stbl"].reduce((parent, type) =>
+                parent && readMp4Boxes(moovBytes, parent.start + parent.headerSize, parent.end).find((box) => box.type === type), trackBox);
+            readMp4Boxes(moovBytes, stbl.start + stbl.headerSize, stbl.end).forEach((box) => {
+                if (box.type !== "stco" && box.type !== "co64") return;
+                const count = moovView.getUint32(box.start + 12);
+                for (let i = 0; i < count; i++) {
+                    if (box.type === "stco") {
+                        const offset = box.start + 16 + i * 4;
+                        moovView.setUint32(offset, moovView.getUint32(offset) + shift);
+                    } else {
+                        const offset = box.start + 16 + i * 8;
+                        moovView.setBigUint64(offset, moovView.getBigUint64(offset) + BigInt(shift));
+                    }
+                }
+            });
+        });
+        moovView.setUint32(mvhd.end - 4, trackId + 1);
+        // The movie lasts as long as its longest track
+        if (isLongMvhd) {
+            const movieDuration = moovView.getBigUint64(timescaleOffset + 4);
+            if (BigInt(trackDuration) > movieDuration) moovView.setBigUint64(timescaleOffset + 4, BigInt(trackDuration));
+        } else if (trackDuration > moovView.getUint32(timescaleOffset + 4)) {
+            moovView.setUint32(timescaleOffset + 4, trackDuration);
+        }
+        if (moov.headerSize === 16) moovView.setBigUint64(8, BigInt(moovBytes.length + shift));
+        else moovView.setUint32(0, moovBytes.length + shift);
+
+        const mdatSize = mdat.end - mdat.start + sampleData.length;
+        const mdatHeader = bytes.slice(mdat.start, mdat.start + mdat.headerSize);
+        if (mdat.headerSize === 16) new DataView(mdatHeader.buffer).setBigUint64(8, BigInt(mdatSize));
+        else if (mdatSize > 0xffffffff) throw new Error("The video is too large to add a subtitle track to.");
+        else new DataView(mdatHeader.buffer).setUint32(0, mdatSize);
+        // stco is the last box on the path down the trak, so its one offset is the trak's last four bytes
+        new DataView(trak.buffer).setUint32(trak.length - 4, mdat.end + shift);
+
+        console.log(`Added an MP4 subtitle track with ${cues.length} cues (track ${trackId}).`);
+        return new Blob([
+            bytes.subarray(0, moov.start),
+            moovBytes,
+            trak,
+            bytes.subarray(moov.end, mdat.start),
+            mdatHeader,
+            bytes.subarray(mdat.start + mdat.headerSize, mdat.end),
+            sampleData,
+            bytes.subarray(mdat.end),
+        ], { type: "video/mp4" });
+    }
+
+    // Downloads a MediaRecorder video with the subtitle track added, falling back to the video
+    // as recorded plus a .vtt file when the recording can't be remuxed (fragmented MP4, or unexpected data)
+    async function saveRecordedVideoWithSubtitles(blob, extension, cues) {
+        if (blob.type.includes("webm")) {
+            showStatus("⏳ Adding subtitle track...", "processing", 0);
             try {
-                 if (recognition?.state !== 'recognizing') { // Use optional chaining and check state
-                    recognition?.start(); // Use optional chaining
-                     console.log("SpeechRecognition start attempt.");
-                 } else {
-                     console.log("SpeechRecognition already running.");
-                 }
+                const remuxed = await remuxWebmWithSubtitles(blob, cues);
+                downloadBlob(remuxed.blob, getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, remuxed.extension));
+                return;
             } catch (e) {
-                if (e.name !== 'InvalidStateError') {
-                   console.error("Synchronous error starting SpeechRecognition:", e);
-                   showStatus(`⚠️ Speech Rec Warning: ${e.message}`, "warning");
-                } else {
-                     console.log("SpeechRecognition start() called in invalid state (likely already running or stopping).");
-                }
+                console.warn("Adding the subtitle track failed; saving the video without it:", e);
             }
-        } else {
-            subtitle.placeholder = "Recording audio (speech recognition not supported by this browser)...";
-             console.warn("Speech Recognition API not supported in this browser.");
         }
-         // --- End Speech Recognition Setup and Start ---
+        downloadBlob(blob, getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, extension));
+        downloadSubtitleSidecar(cues);
+    }
 
+    // =====================
+    // Offline Video Rendering
+    // =====================
+    // True when frames can be encoded with WebCodecs and muxed in JavaScript (muxers load from index.html)
+    function canRenderVideoOffline() {
+        return hasWebCodecs && !!window.Mp4Muxer && !!window.WebMMuxer;
+    }
 
-        // --- Start MediaRecorder ---
-        try {
-            mediaRecorder.start();
-            console.log("MediaRecorder started successfully.");
-            updateButtonStates("recording"); // Update UI state now that recording has successfully begun
-        } catch (e) {
-            console.error("Critical Error: Failed to start MediaRecorder:", e);
-            alert(`Critical Error: Failed to start MediaRecorder.\n${e.message}`);
-            // Clean up resources if MediaRecorder start fails immediately
-            stream?.getTracks().forEach((track) => track.stop());
-            stream = null;
-            if (recognition?.state !== 'idle') { // Abort SR if active
-                try { recognition?.abort(); } catch (err) { console.warn("Error aborting SR after MR start failure:", err); }
+    // First video/audio encoder pair the browser supports for a container, or null
+    async function findOfflineEncoderConfig(container, layout, audioBuffer) {
+        const audio = OFFLINE_AUDIO_CODECS[container];
+        const audioConfig = {
+            codec: audio.codec,
+            sampleRate: audioBuffer.sampleRate,
+            numberOfChannels: audioBuffer.numberOfChannels,
+            bitrate: OFFLINE_AUDIO_BITRATE,
+        };
+        const audioSupport = await AudioEncoder.isConfigSupported(audioConfig).catch(() => null);
+        if (!audioSupport?.supported) return null;
+
+        for (const video of OFFLINE_VIDEO_CODECS[container]) {
+            const videoConfig = {
+                codec: video.codec,
+                width: layout.width,
+                height: layout.height,
+                framerate: layout.frameRate,
+                bitrate: Math.round(layout.width * layout.height * layout.frameRate * VIDEO_BITS_PER_PIXEL),
+                ...(container === "mp4" ? { avc: { format: "avc" } } : {}), // MP4 stores H.264 without start codes
+            };
+            const videoSupport = await VideoEncoder.isConfigSupported(videoConfig).catch(() => null);
+            if (videoSupport?.supported) {
+                return { container, video: { ...video, config: videoConfig }, audio: { ...audio, config: audioConfig } };
             }
-            isRecording = false; updateButtonStates("idle"); // Revert UI state
         }
-         // --- End Start MediaRecorder ---
+        return null;
     }
 
-    // Stops the audio recording process
-    function stopRecording() {
-        if (!isRecording || isProcessingStop) {
-             console.log("Stop requested, but not recording or already processing stop.");
-            return;
+    // Creates the muxer for the chosen container, writing into memory
+    function createOfflineMuxer(encoderConfig, layout, audioBuffer, subtitleCues = null) {
+        const { container, video, audio } = encoderConfig;
+        const options = {
+            video: { codec: video.muxerCodec, width: layout.width, height: layout.height, frameRate: layout.frameRate },
+            audio: { codec: audio.muxerCodec, numberOfChannels: audioBuffer.numberOfChannels, sampleRate: audioBuffer.sampleRate },
+            firstTimestampBehavior: "offset",
+        };
+        if (container === "mp4") {
+            // Mp4Muxer has no subtitle tracks; addMp4SubtitleTrack adds the cues to the finished file
+            return new Mp4Muxer.Muxer({ ...options, target: new Mp4Muxer.ArrayBufferTarget(), fastStart: "in-memory" });
         }
-        console.log("Attempting to stop recording...");
-        isProcessingStop = true; // Set flag to indicate stop process has begun
-        updateButtonStates("processing"); // Update UI state to processing
-        showStatus("⏳ Stopping recording...", "processing", 0); // Show processing status
+        if (!subtitleCues) return new WebMMuxer.Muxer({ ...options, target: new WebMMuxer.ArrayBufferTarget() });
+        const muxer = new WebMMuxer.Muxer({ ...options, target: new WebMMuxer.ArrayBufferTarget(), subtitles: { codec: WEBM_SUBTITLE_CODEC } });
+        addSubtitleTrack(muxer, subtitleCues);
+        return muxer;
+    }
 
-        // Attempt to stop Speech Recognition if it's active
-        if (recognition?.state !== 'idle') { // Use optional chaining and check state
-            try {
-                 recognition.stop(); // Use optional chaining
-                 console.log("SpeechRecognition stop requested.");
-            } catch (e) {
-                 console.warn("Error stopping SpeechRecognition:", e);
-            }
+    // Copies sample frames [start, end) of an AudioBuffer into an AudioData for the encoder
+    function createAudioData(audioBuffer, start, end) {
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const numberOfFrames = end - start;
+        const data = new Float32Array(numberOfFrames * numberOfChannels);
+        for (let c = 0; c < numberOfChannels; c++) {
+            data.set(audioBuffer.getChannelData(c).subarray(start, end), c * numberOfFrames);
         }
+        return new AudioData({
+            format: "f32-planar",
+            sampleRate,
+            numberOfFrames,
+            numberOfChannels,
+            timestamp: Math.round((start * 1e6) / sampleRate), // Microseconds
+            data,
+        });
+    }
 
-        // Attempt to stop MediaRecorder
-        if (mediaRecorder?.state === "recording" || mediaRecorder?.state === "paused") { // Use optional chaining
+    // Waits until the encoder has worked through its backlog. The timeout keeps the loop moving
+    // if the encoder closes on an error and stops firing "dequeue".
+    async function waitForEncoderQueue(encoder, limit) {
+        while (encoder.state === "configured" && encoder.encodeQueueSize > limit) {
+            await new Promise((resolve) => {
+                encoder.addEventListener("dequeue", resolve, { once: true });
+                setTimeout(resolve, 50);
+            });
+        }
+    }
+
+    // Seeks the looping background video to the frame shown at `time` and waits for it to decode.
+    // Rejects when the video fails; a seek that never lands times out and keeps the current frame.
+    function seekBackgroundVideo(video, time) {
+        if (video.error) return Promise.reject(new Error("The background video could not be read."));
+        if (!(video.duration > 0)) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const finish = (settle) => {
+                clearTimeout(timeoutId);
+                video.removeEventListener("seeked", onSeeked);
+                video.removeEventListener("error", onError);
+                settle();
+            };
+            const onSeeked = () => finish(resolve);
+            const onError = () => finish(() => reject(new Error("The background video could not be read.")));
+            const timeoutId = setTimeout(() => finish(() => {
+                console.warn(`Background video seek to ${time.toFixed(2)}s timed out; using the current frame.`);
+                resolve();
+            }), OFFLINE_SEEK_TIMEOUT);
+            video.addEventListener("seeked", onSeeked);
+            video.addEventListener("error", onError);
+            video.currentTime = time % video.duration;
+        });
+    }
+
+    // Draws every frame at its exact timestamp and encodes it with the audio, as fast as the
+    // encoders allow. Resolves false (before any work) when no encoder configuration is supported,
+    // and true once the video is downloaded or the run was cancelled.
+    async function renderVideoOffline(currentTranscript) {
+        const { audioBuffer: decodedAudio, spans } = applyTrimRegions(await decodeAudioBlob(await getOutputAudioBlob()));
+        const audioDuration = decodedAudio.duration;
+        console.log(`Audio blob decoded, duration: ${audioDuration} seconds`);
+        const mixedAudio = hasBackgroundMusic() ? await mixBackgroundMusic(decodedAudio) : decodedAudio; // The visualizer follows the voice only
+        const encodeAudio = await resampleAudioBuffer(mixedAudio, OFFLINE_AUDIO_SAMPLE_RATE, Math.min(2, mixedAudio.numberOfChannels));
+
+        const layout = getVideoLayout(videoSettings);
+        const containers = videoSettings.container === "auto" ? ["mp4", "webm"] : [videoSettings.container];
+        let encoderConfig = null;
+        for (const container of containers) {
+            encoderConfig = await findOfflineEncoderConfig(container, layout, encodeAudio);
+            if (encoderConfig) break;
+        }
+        if (!encoderConfig) return false;
+        const { width, height, frameRate } = layout;
+        console.log(`Video output (offline): ${width}x${height} @ ${frameRate} fps, ${encoderConfig.video.codec} + ${encoderConfig.audio.codec}`);
+
+        // --- Canvas & Scene Setup ---
+        const canvas = document.createElement("canvas");
+        const ctx = canvas.getContext("2d");
+        canvas.width = width;
+        canvas.height = height;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+
+        const scene = createVideoScene(layout);
+        if (videoSettings.burnCaptions) {
+            scene.cues = await prepareCaptionCues(ctx, currentTranscript, audioDuration, layout, spans);
+            console.log(`Laid out ${scene.cues.length} caption pages.`);
+        }
+        scene.duration = audioDuration;
+        await prepareTitleCards(ctx, scene);
+        const videoDuration = getVideoDuration(scene);
+        const introDuration = scene.cards.intro?.duration || 0;
+        const subtitleCues = videoSettings.subtitleTrack ? getSubtitleCues(currentTranscript, audioDuration, spans, introDuration) : null;
+        // Silence under the title cards keeps the voice in step with its section of the video
+        const outputAudio = padAudioBuffer(encodeAudio, introDuration, videoDuration - introDuration - audioDuration);
+        if (scene.visualizer.style !== "none") {
+            scene.audio = {
+                analyser: createBufferAnalyser(decodedAudio),
+                envelope: scene.visualizer.style === "waveform" ? computePeakEnvelope(decodedAudio) : null,
+            };
+        }
+        const seekBackground = scene.background.type === "video" && backgroundVideo;
+        if (seekBackground) backgroundVideo.pause(); // Frames are seeked to one by one
+        // --- End Canvas & Scene Setup ---
+
+        // --- Encoders & Muxer ---
+        const muxer = createOfflineMuxer(encoderConfig, layout, encodeAudio, subtitleCues);
+        let encoderError = null;
+        const onEncoderError = (e) => { encoderError = encoderError || e; };
+        const videoEncoder = new VideoEncoder({ output: (chunk, meta) => muxer.addVideoChunk(chunk, meta), error: onEncoderError });
+        const audioEncoder = new AudioEncoder({ output: (chunk, meta) => muxer.addAudioChunk(chunk, meta), error: onEncoderError });
+        videoEncoder.configure(encoderConfig.video.config);
+        audioEncoder.configure(encoderConfig.audio.config);
+        // --- End Encoders & Muxer ---
+
+        const startedAt = performance.now();
+        const frameCount = Math.max(1, Math.ceil(videoDuration * frameRate));
+        const keyframeInterval = Math.round(frameRate * OFFLINE_KEYFRAME_INTERVAL);
+        let audioPosition = 0; // Next sample frame of outputAudio to encode
+        let lastYieldTime = performance.now();
+        try {
+            for (let i = 0; i < frameCount && !isVideoCancelled; i++) {
+                if (encoderError) throw encoderError;
+                const time = i / frameRate;
+                if (seekBackground) await seekBackgroundVideo(backgroundVideo, time);
+                drawTimelineFrame(ctx, scene, time);
+                const frame = new VideoFrame(canvas, { timestamp: Math.round((i * 1e6) / frameRate), duration: Math.round(1e6 / frameRate) });
+                videoEncoder.encode(frame, { keyFrame: i % keyframeInterval === 0 });
+                frame.close();
+
+                // Keep the audio in step with the video so the muxer can interleave as it goes
+                const audioEnd = Math.min(outputAudio.length, Math.round(((i + 1) / frameRate) * outputAudio.sampleRate));
+                if (audioEnd > audioPosition) {
+                    const audioData = createAudioData(outputAudio, audioPosition, audioEnd);
+                    audioEncoder.encode(audioData);
+                    audioData.close();
+                    audioPosition = audioEnd;
+                }
+                await waitForEncoderQueue(videoEncoder, OFFLINE_ENCODE_QUEUE_LIMIT);
+                updateVideoProgress((i + 1) / frameRate, videoDuration);
+                if (performance.now() - lastYieldTime > OFFLINE_YIELD_INTERVAL) {
+                    await new Promise((resolve) => setTimeout(resolve, 0));
+                    lastYieldTime = performance.now();
+                }
+            }
+            if (!isVideoCancelled) {
+                await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+                if (encoderError) throw encoderError;
+            }
+        } finally {
+            [videoEncoder, audioEncoder].forEach((encoder) => { if (encoder.state !== "closed") encoder.close(); });
+        }
+        if (isVideoCancelled) {
+            console.log("Offline rendering cancelled; nothing was saved.");
+            return true;
+        }
+        muxer.finalize();
+
+        const seconds = (performance.now() - startedAt) / 1000;
+        console.log(`Rendered ${frameCount} frames in ${seconds.toFixed(1)}s (${(videoDuration / seconds).toFixed(1)}x real time).`);
+        const { container } = encoderConfig;
+        let videoOutBlob = new Blob([muxer.target.buffer], { type: `video/${container}` });
+        let needsSidecar = false;
+        if (subtitleCues && container === "mp4") {
             try {
-                mediaRecorder.stop(); // Use optional chaining
-                 console.log("MediaRecorder stop requested.");
-                // The asynchronous 'onstop' event handler will be triggered after this call
-                // to handle the processing of the recorded data.
+                videoOutBlob = addMp4SubtitleTrack(muxer.target.buffer, subtitleCues);
             } catch (e) {
-                console.error("Error calling mediaRecorder.stop():", e);
-                showStatus(`❌ Error stopping recording: ${e.message}`, "error");
-                // Implement a fallback force-reset after a short delay
-                setTimeout(() => {
-                     if (isProcessingStop) { // Check the flag to ensure we haven't already reset
-                        console.warn("Forcing application reset after MediaRecorder stop error timeout.");
-                        resetApp(false); // Reset to a clean state
-                     }
-                }, 2000); // Wait 2 seconds before forcing the reset
+                console.warn("Adding the MP4 subtitle track failed; saving the video without it:", e);
+                needsSidecar = true;
             }
-        } else {
-             console.warn("MediaRecorder not in 'recording' or 'paused' state when stop was called. Initiating reset.");
-            // If MediaRecorder is not in an stoppable state, something is wrong, so just reset.
-            resetApp(false);
         }
+        console.log(`Video Blob created: ${videoOutBlob.size} bytes, Type: ${videoOutBlob.type}`);
+        downloadBlob(videoOutBlob, getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, `.${container}`));
+        if (needsSidecar) downloadSubtitleSidecar(subtitleCues);
+        return true;
     }
 
-    // Generates a video with the transcription overlaid on a background using Canvas
+    // Generates a video with the transcription overlaid on a background using Canvas.
+    // Renders offline with WebCodecs when available, otherwise records the canvas in real time.
     async function generateVideo() {
         // Get the current transcription text
         const currentTranscript = subtitle.value.trim();
+        const canRenderOffline = canRenderVideoOffline();
 
         // --- Pre-generation checks ---
         if (!audioBlob) {
@@ -630,8 +4198,8 @@ document.addEventListener("DOMContentLoaded", function () {
             console.warn("Video generation aborted: Empty transcript.");
             return;
         }
-        if (!hasCanvasCaptureStream || !hasAudioContext) {
-             showStatus("❌ Browser lacks required features (Canvas.captureStream or AudioContext) for video generation.", "error", 0);
+        if (!hasAudioContext || (!canRenderOffline && (!hasCanvasCaptureStream || !hasMediaRecorder))) {
+             showStatus("❌ Browser lacks required features (WebCodecs or Canvas.captureStream, and AudioContext) for video generation.", "error", 0);
             console.error("Video generation aborted: Missing browser features.");
             return;
         }
@@ -641,64 +4209,71 @@ document.addEventListener("DOMContentLoaded", function () {
         updateButtonStates("processing"); // Set UI state to processing
         showStatus("⏳ Generating video... This may take a moment.", "processing", 0); // Sticky processing status
         console.log("Starting video generation process...");
+        startVideoProgress();
+
+        if (canRenderOffline) {
+            try {
+                if (await renderVideoOffline(currentTranscript)) {
+                    cleanupVideoResources();
+                    if (isVideoCancelled) showStatus("⚠️ Video generation cancelled.", "warning");
+                    updateButtonStates("recorded");
+                    return;
+                }
+                console.warn("No supported WebCodecs encoder configuration; falling back to real-time recording.");
+            } catch (e) {
+                console.error("Offline video rendering error:", e);
+                showStatus(`❌ Video Error (Offline Render): ${e.message}`, "error", 0);
+                cleanupVideoResources();
+                updateButtonStates("recorded");
+                return;
+            }
+            if (!hasCanvasCaptureStream || !hasMediaRecorder) {
+                showStatus("❌ This browser cannot encode the selected video format.", "error", 0);
+                cleanupVideoResources();
+                updateButtonStates("recorded");
+                return;
+            }
+        }
+        await recordVideoRealtime(currentTranscript);
+    }
 
+    // Plays the audio in real time and records the animated canvas with MediaRecorder
+    async function recordVideoRealtime(currentTranscript) {
         // --- Canvas Setup ---
         const canvas = document.createElement("canvas");
         const ctx = canvas.getContext("2d");
-        const width = 720; // Vertical format dimensions
-        const height = 1280;
+        const layout = getVideoLayout(videoSettings);
+        const { width, height } = layout;
         canvas.width = width;
         canvas.height = height;
+        console.log(`Video output (real time): ${width}x${height} @ ${layout.frameRate} fps`);
 
-        // Get colors from CSS variables
-        const textColor = getComputedStyle(document.documentElement).getPropertyValue("--text-light").trim() || "#ffffff";
-        const bgColor = getComputedStyle(document.documentElement).getPropertyValue("--bg-dark").trim() || "#222222";
-
-        const fontSize = 40;
-        const textLineHeight = 50;
-        ctx.font = `bold ${fontSize}px 'Archivo', sans-serif`; // Set font style
         ctx.textAlign = "center";
         ctx.textBaseline = "middle";
-        const textPadding = width * 0.1;
-        const maxWidth = width - 2 * textPadding;
-        const centerY = height / 2;
-
-        // --- Text Wrapping Function ---
-        function drawWrappedText(context, text, x, y, textMaxWidth, lineHeight) {
-            const words = text.split(" ");
-            let line = "";
-            const lines = [];
-
-            for (let n = 0; n < words.length; n++) {
-                const testLine = line + words[n] + (n < words.length - 1 ? " " : "");
-                const testWidth = context.measureText(testLine).width;
-                if (testWidth > textMaxWidth && n > 0) {
-                    lines.push(line.trim());
-                    line = words[n] + (n < words.length - 1 ? " " : "");
-                } else {
-                    line = testLine;
-                }
-            }
-            if (line.trim() !== "") lines.push(line.trim());
 
-            const totalTextHeight = lines.length * lineHeight;
-            let currentY = y - totalTextHeight / 2 + lineHeight / 2;
+        // Everything drawTimelineFrame needs; cues and title cards are filled in once the audio is decoded
+        const scene = createVideoScene(layout);
 
-            lines.forEach((singleLine) => {
-                context.fillText(singleLine, x, currentY);
-                currentY += lineHeight;
-            });
-             // return lines.length; // Return number of lines drawn (optional)
+
+        // --- Caption Timing State ---
+        let playbackStartTime = null; // audioContextForVideo time at which bufferSourceNodeForVideo started
+        let audioDuration = 0; // Known once the audio is decoded
+        let videoDuration = 0; // audioDuration plus the title cards
+        let subtitleCues = null; // Soft subtitle track on the video timeline, when enabled
+
+        // Current position in the video being recorded, in seconds (the voice starts after the intro card)
+        function getPlaybackTime() {
+            if (playbackStartTime === null || !audioContextForVideo) return 0;
+            return Math.max(0, audioContextForVideo.currentTime - playbackStartTime);
         }
-        // --- End Text Wrapping Function ---
+        // --- End Caption Timing State ---
 
 
         // --- Canvas Animation Loop ---
         function animateCanvas() {
-            ctx.fillStyle = bgColor;
-            ctx.fillRect(0, 0, width, height);
-            ctx.fillStyle = textColor;
-            drawWrappedText(ctx, currentTranscript, width / 2, centerY, maxWidth, textLineHeight);
+            const playbackTime = getPlaybackTime();
+            drawTimelineFrame(ctx, scene, playbackTime);
+            if (playbackStartTime !== null) updateVideoProgress(playbackTime, videoDuration);
             canvasAnimationId = requestAnimationFrame(animateCanvas);
         }
 
@@ -710,7 +4285,7 @@ document.addEventListener("DOMContentLoaded", function () {
         // --- Get Video Stream from Canvas ---
         let canvasStream;
         try {
-            canvasStream = canvas.captureStream(30); // Capture stream at 30 fps
+            canvasStream = canvas.captureStream(layout.frameRate); // Capture stream at the preset frame rate
             if (!canvasStream?.getVideoTracks().length) { // Use optional chaining
                 throw new Error("Canvas captureStream failed or returned no video tracks.");
             }
@@ -729,7 +4304,6 @@ document.addEventListener("DOMContentLoaded", function () {
 
         // --- Get Audio Stream from Blob using Web Audio API ---
         let audioStreamFromBlob;
-        let audioDuration = 0;
         try {
             // Clean up previous AudioContext for video if it exists
             if (audioContextForVideo?.state !== 'closed') { // Use optional chaining
@@ -742,25 +4316,49 @@ document.addEventListener("DOMContentLoaded", function () {
             audioStreamFromBlob = destinationNodeForVideo.stream;
 
             // Decode the audio blob data
-            const arrayBuffer = await audioBlob.arrayBuffer();
-            const audioBufferDecoded = await audioContextForVideo.decodeAudioData(arrayBuffer);
+            const arrayBuffer = await (await getOutputAudioBlob()).arrayBuffer();
+            const { audioBuffer: audioBufferDecoded, spans } = applyTrimRegions(await audioContextForVideo.decodeAudioData(arrayBuffer));
             audioDuration = audioBufferDecoded.duration;
              console.log(`Audio blob decoded, duration: ${audioDuration} seconds`);
 
+            if (videoSettings.burnCaptions) {
+                scene.cues = await prepareCaptionCues(ctx, currentTranscript, audioDuration, layout, spans);
+                console.log(`Laid out ${scene.cues.length} caption pages.`);
+            }
+            scene.duration = audioDuration;
+            await prepareTitleCards(ctx, scene);
+            videoDuration = getVideoDuration(scene);
+            if (videoSettings.subtitleTrack) subtitleCues = getSubtitleCues(currentTranscript, audioDuration, spans, scene.cards.intro?.duration || 0);
+
             // Create and connect AudioBufferSourceNode
             bufferSourceNodeForVideo = audioContextForVideo.createBufferSource();
             bufferSourceNodeForVideo.buffer = audioBufferDecoded;
-            bufferSourceNodeForVideo.connect(destinationNodeForVideo);
+            // The analyser passes audio through unchanged while the visualizer reads from it
+            analyserNodeForVideo = audioContextForVideo.createAnalyser();
+            analyserNodeForVideo.fftSize = VISUALIZER_FFT_SIZE;
+            analyserNodeForVideo.smoothingTimeConstant = VISUALIZER_SMOOTHING;
+            bufferSourceNodeForVideo.connect(analyserNodeForVideo);
+            analyserNodeForVideo.connect(destinationNodeForVideo);
+            if (scene.visualizer.style !== "none") {
+                scene.audio = {
+                    analyser: createNodeAnalyser(analyserNodeForVideo),
+                    envelope: scene.visualizer.style === "waveform" ? computePeakEnvelope(audioBufferDecoded) : null,
+                };
+            }
 
-             // Stop video recorder when audio finishes
+             // Stop video recorder when audio finishes (after the end card, if there is one)
+             const outroDuration = scene.cards.outro?.duration || 0;
              bufferSourceNodeForVideo.onended = () => {
                  console.log("AudioBufferSourceNode finished playing.");
-                 if (videoRecorder?.state === "recording") { // Use optional chaining
-                     console.log("Stopping video recorder because audio finished.");
-                     try { videoRecorder?.stop(); } catch (e) { console.warn("Error stopping video recorder from audio onended:", e); } // Use optional chaining
-                 } else {
-                     console.log("Video recorder not in 'recording' state when audio finished.");
-                 }
+                 const recorder = videoRecorder;
+                 setTimeout(() => {
+                     if (recorder?.state === "recording") { // Use optional chaining
+                         console.log("Stopping video recorder because audio finished.");
+                         try { recorder.stop(); } catch (e) { console.warn("Error stopping video recorder from audio onended:", e); }
+                     } else {
+                         console.log("Video recorder not in 'recording' state when audio finished.");
+                     }
+                 }, outroDuration * 1000);
              };
 
         } catch (e) {
@@ -773,10 +4371,23 @@ document.addEventListener("DOMContentLoaded", function () {
         }
         // --- End Get Audio Stream from Blob ---
 
+        // Cancel may be pressed while the audio decodes and the caption fonts load
+        if (isVideoCancelled) {
+            cleanupVideoResources();
+            canvasStream.getTracks().forEach(track => track.stop());
+            showStatus("⚠️ Video generation cancelled.", "warning");
+            updateButtonStates("recorded");
+            return;
+        }
+
 
         // --- Combine Streams and Record Video ---
         // Determine the best supported video MIME type
-        let videoMimeType = PREFERRED_VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || "video/webm";
+        // Honour the chosen container, but record in whatever the browser supports rather than fail
+        const containerMimeTypes = PREFERRED_VIDEO_MIME_TYPES.filter((type) => videoSettings.container === "auto" || type.startsWith(`video/${videoSettings.container}`));
+        if (subtitleCues) containerMimeTypes.sort((a, b) => b.startsWith("video/webm") - a.startsWith("video/webm")); // MediaRecorder's fragmented MP4 can't be remuxed with subtitles
+        let videoMimeType = containerMimeTypes.find(type => MediaRecorder.isTypeSupported(type))
+            || PREFERRED_VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || "video/webm";
         console.log(`Using video output MIME type: ${videoMimeType}`);
 
         const videoFileExtension = videoMimeType.includes("mp4") ? ".mp4" : ".webm";
@@ -786,9 +4397,11 @@ document.addEventListener("DOMContentLoaded", function () {
         // Combine canvas video track and audio stream audio track
         const combinedStream = new MediaStream([...canvasStream.getVideoTracks(), ...audioStreamFromBlob.getAudioTracks()]);
 
-        let videoRecorder;
         try {
-            videoRecorder = new MediaRecorder(combinedStream, { mimeType: videoMimeType });
+            videoRecorder = new MediaRecorder(combinedStream, {
+                mimeType: videoMimeType,
+                videoBitsPerSecond: Math.round(width * height * layout.frameRate * VIDEO_BITS_PER_PIXEL),
+            });
              console.log("Video MediaRecorder initialized.");
         } catch (e) {
             console.error("Video MediaRecorder initialization error:", e);
@@ -809,9 +4422,16 @@ document.addEventListener("DOMContentLoaded", function () {
 
         videoRecorder.onstop = () => {
             console.log("VideoRecorder onstop triggered.");
+            videoRecorder = null;
             combinedStream.getTracks().forEach(track => track.stop()); // Stop combined stream tracks
             cleanupVideoResources(); // Clean up video resources
 
+            if (isVideoCancelled) {
+                console.log(`Discarding ${videoChunks.length} video chunks after cancel.`);
+                showStatus("⚠️ Video generation cancelled.", "warning");
+                updateButtonStates("recorded");
+                return;
+            }
             if (videoChunks.length === 0) {
                 console.warn("No video data captured during recording.");
                 showStatus("❌ Video generation failed: No data captured.", "error");
@@ -822,6 +4442,11 @@ document.addEventListener("DOMContentLoaded", function () {
             const videoOutBlob = new Blob(videoChunks, { type: videoMimeType });
             console.log(`Video Blob created: ${videoOutBlob.size} bytes, Type: ${videoOutBlob.type}`);
 
+            if (subtitleCues) {
+                saveRecordedVideoWithSubtitles(videoOutBlob, videoFileExtension, subtitleCues)
+                    .finally(() => updateButtonStates("recorded"));
+                return;
+            }
             const filename = getSanitizedFilename(videoFileNameInput, DEFAULT_VIDEO_FILENAME_BASE, videoFileExtension);
             downloadBlob(videoOutBlob, filename);
 
@@ -833,6 +4458,7 @@ document.addEventListener("DOMContentLoaded", function () {
             console.error("VideoRecorder error:", e);
             showStatus(`❌ Video Generation Error: ${e.error?.name || 'Unknown'}`, "error", 0);
 
+            videoRecorder = null;
             combinedStream.getTracks().forEach(track => track.stop()); // Stop combined stream tracks
             cleanupVideoResources(); // Clean up video resources
 
@@ -844,20 +4470,30 @@ document.addEventListener("DOMContentLoaded", function () {
         // --- Start Audio Playback and Video Recording ---
         try {
              console.log("Starting audio source node for video.");
-            bufferSourceNodeForVideo.start();
+            playbackStartTime = audioContextForVideo.currentTime; // Captions are synced against this
+            const voiceStartTime = playbackStartTime + (scene.cards.intro?.duration || 0); // The intro card plays over silence
+            bufferSourceNodeForVideo.start(voiceStartTime);
+            if (hasBackgroundMusic()) {
+                musicSourceNodeForVideo = connectBackgroundMusic(audioContextForVideo, destinationNodeForVideo, bufferSourceNodeForVideo.buffer, voiceStartTime);
+            }
+            if (scene.background.type === "video" && backgroundVideo) {
+                backgroundVideo.currentTime = 0;
+                backgroundVideo.play().catch((e) => console.warn("Background video playback failed:", e));
+            }
 
              console.log("Starting video recorder.");
             videoRecorder.start();
 
-            // Set a timeout to stop the video recorder after the audio duration + buffer
+            // Set a timeout to stop the video recorder after the video duration (title cards included) + buffer
             // This acts as a safeguard if the audio.onended doesn't fire.
-            const stopTimeout = (audioDuration * 1000) + 500; // Add 500ms buffer
+            const stopTimeout = (videoDuration * 1000) + 500; // Add 500ms buffer
             console.log(`Scheduled video recorder stop via timeout in ${stopTimeout} ms.`);
 
+            const recorder = videoRecorder; // A cancelled run's timeout must not stop the next run's recorder
             setTimeout(() => {
-                if (videoRecorder?.state === "recording") { // Use optional chaining
+                if (recorder.state === "recording") {
                     console.log("Stopping video recorder via duration timeout.");
-                    try { videoRecorder?.stop(); } catch (e) { console.warn("Error stopping video recorder via timeout:", e); }
+                    try { recorder.stop(); } catch (e) { console.warn("Error stopping video recorder via timeout:", e); }
                 } else {
                      console.log("Video recorder not in 'recording' state when timeout fired.");
                 }
@@ -881,32 +4517,72 @@ document.addEventListener("DOMContentLoaded", function () {
     startBtn.addEventListener("click", startRecording);
     stopBtn.addEventListener("click", stopRecording);
 
-    downloadBtn.addEventListener("click", () => {
-        if (audioBlob && supportedAudioType) {
-            // Determine extension based on recorded type (using includes for flexibility)
-            let extension = ".bin"; // Fallback
-            if (supportedAudioType.includes("mpeg") || supportedAudioType.includes("mp3")) extension = ".mp3";
-            else if (supportedAudioType.includes("mp4")) extension = ".mp4";
-            else if (supportedAudioType.includes("webm")) extension = ".webm";
-            else if (supportedAudioType.includes("ogg")) extension = ".ogg";
-            else if (supportedAudioType.includes("wav")) extension = ".wav";
-
-            const filename = getSanitizedFilename(audioFileNameInput, DEFAULT_AUDIO_FILENAME_BASE, extension);
-            downloadBlob(audioBlob, filename);
-        } else { // Handles !audioBlob and missing supportedAudioType
-            showStatus("No audio to download or file type unknown.", "warning");
-        }
-    });
+    downloadBtn.addEventListener("click", downloadAudio);
 
-    exportBtn.addEventListener("click", () => {
-        if (subtitle.value.trim()) {
-            const blob = new Blob([subtitle.value], { type: "text/plain;charset=utf-8" });
-            const filename = getSanitizedFilename(transcriptFileNameInput, DEFAULT_TRANSCRIPT_FILENAME_BASE, ".txt");
+    exportBtn.addEventListener("click", async () => {
+        if (!subtitle.value.trim()) {
+            showStatus("No transcript to export.", "warning");
+            return;
+        }
+        const format = TRANSCRIPT_EXPORT_FORMATS[transcriptFormatSelect?.value] ? transcriptFormatSelect.value : "txt";
+        const { extension, mimeType } = TRANSCRIPT_EXPORT_FORMATS[format];
+        try {
+            const contents = await buildTranscriptExport(format, subtitle.value.trim());
+            const blob = new Blob([contents], { type: mimeType });
+            const filename = getSanitizedFilename(transcriptFileNameInput, DEFAULT_TRANSCRIPT_FILENAME_BASE, extension);
             downloadBlob(blob, filename);
-        } else showStatus("No transcript to export.", "warning");
+        } catch (e) {
+            console.error("Transcript export failed:", e);
+            showStatus(`❌ Transcript export failed: ${e.message}`, "error");
+        }
     });
 
     videoBtn.addEventListener("click", generateVideo);
+    cancelVideoBtn.addEventListener("click", cancelVideoGeneration);
+    clearRegionsBtn.addEventListener("click", () => regionsPlugin?.clearRegions());
+    removeSilenceBtn.addEventListener("click", removeSilence);
+    abToggleBtn.addEventListener("click", toggleCleanupComparison);
+    transcribeBtn.addEventListener("click", transcribeAudio);
+    cancelTranscriptionBtn.addEventListener("click", () => transcriptionController?.abort());
+
+    // Keep segment timings attached to the right words while the transcript is edited
+    subtitle.addEventListener("input", () => {
+        syncSegmentsWithText(subtitle.value);
+        // Typed transcripts (e.g. for imported audio) enable export and video generation
+        if (audioBlob && !isRecording && !isProcessingStop && !subtitle.readOnly) updateButtonStates("recorded");
+        schedulePreviewRefresh();
+    });
+
+    // Settings controls update their own settings first; the preview then redraws with them
+    settingsDiv.addEventListener("input", schedulePreviewRefresh);
+    settingsDiv.addEventListener("change", schedulePreviewRefresh);
+
+    importBtn.addEventListener("click", () => audioFileInput.click());
+    importSubtitlesBtn.addEventListener("click", () => subtitleFileInput.click());
+
+    subtitleFileInput.addEventListener("change", () => {
+        importSubtitleFile(subtitleFileInput.files[0]);
+        subtitleFileInput.value = "";
+    });
+
+    audioFileInput.addEventListener("change", () => {
+        importAudioFile(audioFileInput.files[0]);
+        audioFileInput.value = ""; // Allow re-importing the same file
+    });
+
+    // Drag-and-drop import onto the waveform area
+    waveformContainer.addEventListener("dragover", (event) => {
+        if (!event.dataTransfer?.types.includes("Files")) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = importBtn.disabled ? "none" : "copy";
+        waveformContainer.classList.toggle("drag-over", !importBtn.disabled);
+    });
+    waveformContainer.addEventListener("dragleave", () => waveformContainer.classList.remove("drag-over"));
+    waveformContainer.addEventListener("drop", (event) => {
+        event.preventDefault();
+        waveformContainer.classList.remove("drag-over");
+        importAudioFile(event.dataTransfer?.files[0]);
+    });
 
     resetBtn.addEventListener("click", () => {
         if (audioBlob || subtitle.value.trim()) {
@@ -925,8 +4601,10 @@ document.addEventListener("DOMContentLoaded", function () {
         }
         subtitle.value = "";
         finalTranscript = "";
+        transcriptSegments = [];
         subtitle.placeholder = "Transcription cleared. Audio data (if any) is preserved.";
         updateButtonStates(audioBlob ? "recorded" : "idle"); // Update state based on preserved audio
+        schedulePreviewRefresh();
         showStatus("Transcription cleared.", "info");
     });
 
@@ -944,6 +4622,53 @@ document.addEventListener("DOMContentLoaded", function () {
     // =====================
     // Initialization
     // =====================
+    // Restores transcription settings and keeps them stored as they change
+    function initializeTranscriptionSettings() {
+        transcriptionSettings = loadStoredSettings("transcription", DEFAULT_TRANSCRIPTION_SETTINGS);
+        if (!transcriptionProviders[transcriptionSettings.provider]) transcriptionSettings.provider = DEFAULT_TRANSCRIPTION_SETTINGS.provider;
+
+        RECOGNITION_LANGUAGES.forEach(({ code, label }) => recognitionLanguageSelect.add(new Option(`${label} (${code})`, code)));
+        if (!RECOGNITION_LANGUAGES.some(({ code }) => code === transcriptionSettings.language)) {
+            transcriptionSettings.language = DEFAULT_TRANSCRIPTION_SETTINGS.language;
+        }
+        recognitionLanguageSelect.value = transcriptionSettings.language;
+        subtitle.lang = transcriptionSettings.language;
+        transcriptionProviderSelect.value = transcriptionSettings.provider;
+        whisperEndpointInput.value = transcriptionSettings.whisperEndpoint;
+        whisperModelInput.value = transcriptionSettings.whisperModel;
+        if (!transcriptionSettings.whisperRememberKey && transcriptionSettings.whisperApiKey) {
+            transcriptionSettings.whisperApiKey = "";
+            saveStoredSettings("transcription", transcriptionSettings); // Drops a key stored before remembering it was opt-in
+        }
+        whisperApiKeyInput.value = transcriptionSettings.whisperApiKey;
+        whisperRememberKeyCheckbox.checked = transcriptionSettings.whisperRememberKey;
+        whisperConvertWavCheckbox.checked = transcriptionSettings.whisperConvertToWav;
+
+        const applySettings = () => {
+            transcriptionSettings = {
+                provider: transcriptionProviderSelect.value,
+                language: recognitionLanguageSelect.value,
+                whisperEndpoint: whisperEndpointInput.value.trim(),
+                whisperModel: whisperModelInput.value.trim(),
+                whisperApiKey: whisperApiKeyInput.value.trim(),
+                whisperRememberKey: whisperRememberKeyCheckbox.checked,
+                whisperConvertToWav: whisperConvertWavCheckbox.checked,
+            };
+            // The key only reaches localStorage when the user asked for it to be remembered
+            const { whisperApiKey, whisperRememberKey } = transcriptionSettings;
+            saveStoredSettings("transcription", { ...transcriptionSettings, whisperApiKey: whisperRememberKey ? whisperApiKey : "" });
+            subtitle.lang = transcriptionSettings.language;
+            applyRecognitionLanguage();
+            whisperSettingsDiv.hidden = transcriptionSettings.provider !== "whisper";
+            // Refresh the Transcribe button without disturbing any other state
+            if (audioBlob && !isRecording && !isProcessingStop && !subtitle.readOnly) updateButtonStates("recorded");
+        };
+        [transcriptionProviderSelect, recognitionLanguageSelect, whisperRememberKeyCheckbox, whisperConvertWavCheckbox].forEach((el) => el.addEventListener("change", applySettings));
+        [whisperEndpointInput, whisperModelInput, whisperApiKeyInput].forEach((el) => el.addEventListener("input", applySettings));
+        whisperSettingsDiv.hidden = transcriptionSettings.provider !== "whisper";
+        console.log(`Transcription provider: ${getTranscriptionProvider().label}`);
+    }
+
     function initializeWaveSurfer() {
         if (typeof WaveSurfer === "undefined") {
             waveformContainer.textContent = "WaveSurfer library not found. Audio playback and waveform visualization disabled.";
@@ -976,19 +4701,39 @@ document.addEventListener("DOMContentLoaded", function () {
             });
             wavesurfer.isReady = false; // Custom flag
 
+            // Trim regions: drag on the waveform to mark a range to keep or a section to cut
+            if (WaveSurfer.Regions) {
+                regionsPlugin = wavesurfer.registerPlugin(WaveSurfer.Regions.create());
+                regionsPlugin.enableDragSelection({ color: TRIM_KEEP_COLOR });
+                regionsPlugin.on("region-created", onRegionCreated);
+                regionsPlugin.on("region-updated", updateTrimSummary);
+                regionsPlugin.on("region-removed", updateTrimSummary);
+                regionsPlugin.on("region-double-clicked", (region) => region.remove());
+            } else {
+                console.warn("WaveSurfer Regions plugin not found. Trimming disabled.");
+            }
+
             // --- WaveSurfer Event Handlers ---
             wavesurfer.on("ready", () => {
                 console.log("WaveSurfer ready event. Audio loaded and processed.");
                 wavesurfer.isReady = true;
-                audioDurationSpan.textContent = formatTime(wavesurfer.getDuration());
+                loadedAudioDuration = wavesurfer.getDuration();
+                updateTrimSummary();
+                audioDurationSpan.textContent = formatTime(loadedAudioDuration);
                 subtitle.readOnly = false;
                 subtitle.placeholder = "Transcription ready. Edit if needed.";
                 updateButtonStates("recorded");
                 showStatus("✅ Audio processed and waveform loaded.", "success");
+                schedulePreviewRefresh();
             });
 
-            wavesurfer.on("play", () => { playPauseBtn.textContent = "Pause"; console.log("WaveSurfer playback started."); });
-            wavesurfer.on("pause", () => { playPauseBtn.textContent = "Play"; console.log("WaveSurfer playback paused."); });
+            wavesurfer.on("play", () => { playPauseBtn.textContent = "Pause"; console.log("WaveSurfer playback started."); syncPreviewBackground(wavesurfer.getCurrentTime(), true); });
+            wavesurfer.on("pause", () => { playPauseBtn.textContent = "Play"; console.log("WaveSurfer playback paused."); syncPreviewBackground(wavesurfer.getCurrentTime(), false); });
+            // Fires on every animation frame while playing and after each seek
+            wavesurfer.on("timeupdate", (time) => drawPreviewFrame(time));
+            wavesurfer.on("seeking", (time) => syncPreviewBackground(time, wavesurfer.isPlaying()));
+            // Regions belong to the audio they were marked on
+            wavesurfer.on("load", () => { regionsPlugin?.clearRegions(); resetCleanupComparison(); });
             wavesurfer.on("finish", () => { playPauseBtn.textContent = "Play"; wavesurfer.seekTo(0); console.log("WaveSurfer playback finished."); });
 
             wavesurfer.on("error", (err) => {
@@ -1020,7 +4765,466 @@ document.addEventListener("DOMContentLoaded", function () {
         }
     }
 
+    // Fills the audio download format controls; MP3 needs lamejs and shows its bitrate choice
+    function initializeAudioFormatControls() {
+        MP3_BITRATES.forEach((kbps) => mp3BitrateSelect.add(new Option(`${kbps} kbps`, kbps)));
+        mp3BitrateSelect.value = DEFAULT_MP3_BITRATE;
+        if (!hasMp3Encoder) {
+            audioFormatSelect.querySelector('option[value="mp3"]').disabled = true;
+            audioFormatSelect.value = "wav";
+        }
+        const updateBitrateVisibility = () => { mp3BitrateSelect.hidden = audioFormatSelect.value !== "mp3"; };
+        audioFormatSelect.addEventListener("change", updateBitrateVisibility);
+        updateBitrateVisibility();
+    }
+
+    // Restores the silence removal settings and keeps them stored as they change
+    function initializeSilenceSettings() {
+        silenceSettings = loadStoredSettings("silence", DEFAULT_SILENCE_SETTINGS);
+        // dBFS thresholds are below 0; an empty field reads as 0 and would count everything as silence
+        const isThreshold = (value) => Number.isFinite(value) && value < 0;
+        const isMaxPause = (value) => Number.isFinite(value) && value >= 0;
+        if (!isThreshold(silenceSettings.threshold)) silenceSettings.threshold = DEFAULT_SILENCE_SETTINGS.threshold;
+        if (!isMaxPause(silenceSettings.maxPause)) silenceSettings.maxPause = DEFAULT_SILENCE_SETTINGS.maxPause;
+        silenceThresholdInput.value = silenceSettings.threshold;
+        maxPauseInput.value = silenceSettings.maxPause;
+
+        const applySettings = () => {
+            const threshold = silenceThresholdInput.value.trim() ? Number(silenceThresholdInput.value) : NaN;
+            const maxPause = maxPauseInput.value.trim() ? Number(maxPauseInput.value) : NaN;
+            silenceSettings = {
+                threshold: isThreshold(threshold) ? threshold : DEFAULT_SILENCE_SETTINGS.threshold,
+                maxPause: isMaxPause(maxPause) ? maxPause : DEFAULT_SILENCE_SETTINGS.maxPause,
+            };
+            saveStoredSettings("silence", silenceSettings);
+        };
+        [silenceThresholdInput, maxPauseInput].forEach((el) => el.addEventListener("change", applySettings));
+    }
+
+    // Restores the voice cleanup settings and keeps them stored as they change
+    function initializeCleanupSettings() {
+        cleanupSettings = loadStoredSettings("cleanup", DEFAULT_CLEANUP_SETTINGS);
+        if (!CLEANUP_LOUDNESS_TARGETS.includes(cleanupSettings.targetLoudness)) cleanupSettings.targetLoudness = DEFAULT_CLEANUP_SETTINGS.targetLoudness;
+        CLEANUP_LOUDNESS_TARGETS.forEach((target) => targetLoudnessSelect.add(new Option(`${target} LUFS`, target)));
+        // Empty or out-of-range fields keep the default; a gate at 0 dBFS would never open
+        const readHighPass = (value) => clampToInput(value, highPassInput, DEFAULT_CLEANUP_SETTINGS.highPass);
+        const readGateThreshold = (value) => clampToInput(value, gateThresholdInput, DEFAULT_CLEANUP_SETTINGS.gateThreshold);
+        cleanupSettings.highPass = readHighPass(cleanupSettings.highPass);
+        cleanupSettings.gateThreshold = readGateThreshold(cleanupSettings.gateThreshold);
+        cleanupEnabledCheckbox.checked = cleanupSettings.enabled;
+        highPassInput.value = cleanupSettings.highPass;
+        gateThresholdInput.value = cleanupSettings.gateThreshold;
+        targetLoudnessSelect.value = cleanupSettings.targetLoudness;
+
+        const applySettings = () => {
+            cleanupSettings = {
+                enabled: cleanupEnabledCheckbox.checked,
+                highPass: readHighPass(highPassInput.value),
+                gateThreshold: readGateThreshold(gateThresholdInput.value),
+                targetLoudness: Number(targetLoudnessSelect.value),
+            };
+            saveStoredSettings("cleanup", cleanupSettings);
+        };
+        [cleanupEnabledCheckbox, highPassInput, gateThresholdInput, targetLoudnessSelect].forEach((el) => el.addEventListener("change", applySettings));
+    }
+
+    // Restores the music bed settings and wires the music controls (the track itself is not stored)
+    function initializeMusicSettings() {
+        musicSettings = loadStoredSettings("music", DEFAULT_MUSIC_SETTINGS);
+        // These feed the gain automation; empty or out-of-range values keep the default, and the
+        // duck threshold stays below 0 dBFS so speech is still detected
+        const numberInputs = { volume: musicVolumeInput, fadeOut: musicFadeOutInput, duckThreshold: musicDuckThresholdInput, duckAmount: musicDuckAmountInput };
+        const readNumbers = (values) => Object.fromEntries(Object.entries(numberInputs).map(([key, input]) =>
+            [key, clampToInput(values[key], input, DEFAULT_MUSIC_SETTINGS[key])]));
+        Object.assign(musicSettings, readNumbers(musicSettings));
+        musicVolumeInput.value = musicSettings.volume;
+        musicLoopCheckbox.checked = musicSettings.loop;
+        musicFadeOutInput.value = musicSettings.fadeOut;
+        musicDuckThresholdInput.value = musicSettings.duckThreshold;
+        musicDuckAmountInput.value = musicSettings.duckAmount;
+        musicInDownloadCheckbox.checked = musicSettings.includeInDownload;
+
+        const applySettings = () => {
+            musicSettings = {
+                ...readNumbers(Object.fromEntries(Object.entries(numberInputs).map(([key, input]) => [key, input.value]))),
+                loop: musicLoopCheckbox.checked,
+                includeInDownload: musicInDownloadCheckbox.checked,
+            };
+            saveStoredSettings("music", musicSettings);
+        };
+        [musicLoopCheckbox, musicFadeOutInput, musicDuckThresholdInput, musicDuckAmountInput, musicInDownloadCheckbox]
+            .forEach((el) => el.addEventListener("change", applySettings));
+        musicVolumeInput.addEventListener("input", applySettings);
+
+        musicFileBtn.addEventListener("click", () => musicFileInput.click());
+        musicFileInput.addEventListener("change", () => {
+            loadMusicFile(musicFileInput.files[0]);
+            musicFileInput.value = "";
+        });
+        clearMusicBtn.addEventListener("click", clearMusic);
+    }
+
+    // Restores the video output presets and keeps them stored as they change
+    function initializeVideoSettings() {
+        videoSettings = loadStoredSettings("video", DEFAULT_VIDEO_SETTINGS);
+        if (!VIDEO_ASPECT_RATIOS[videoSettings.aspectRatio]) videoSettings.aspectRatio = DEFAULT_VIDEO_SETTINGS.aspectRatio;
+        if (!VIDEO_RESOLUTIONS.includes(videoSettings.resolution)) videoSettings.resolution = DEFAULT_VIDEO_SETTINGS.resolution;
+        if (!VIDEO_FRAME_RATES.includes(videoSettings.frameRate)) videoSettings.frameRate = DEFAULT_VIDEO_SETTINGS.frameRate;
+        if (!VIDEO_CONTAINERS.includes(videoSettings.container)) videoSettings.container = DEFAULT_VIDEO_SETTINGS.container;
+
+        Object.keys(VIDEO_ASPECT_RATIOS).forEach((ratio) => videoAspectSelect.add(new Option(ratio, ratio)));
+        VIDEO_RESOLUTIONS.forEach((resolution) => videoResolutionSelect.add(new Option(`${resolution}p`, resolution)));
+        VIDEO_FRAME_RATES.forEach((rate) => videoFrameRateSelect.add(new Option(`${rate} fps`, rate)));
+        videoAspectSelect.value = videoSettings.aspectRatio;
+        videoResolutionSelect.value = videoSettings.resolution;
+        videoFrameRateSelect.value = videoSettings.frameRate;
+        videoContainerSelect.value = videoSettings.container;
+        subtitleTrackCheckbox.checked = videoSettings.subtitleTrack;
+        burnCaptionsCheckbox.checked = videoSettings.burnCaptions;
+
+        const applySettings = () => {
+            videoSettings = {
+                ...videoSettings,
+                aspectRatio: videoAspectSelect.value,
+                resolution: Number(videoResolutionSelect.value),
+                frameRate: Number(videoFrameRateSelect.value),
+                container: videoContainerSelect.value,
+                subtitleTrack: subtitleTrackCheckbox.checked,
+                burnCaptions: burnCaptionsCheckbox.checked,
+            };
+            saveStoredSettings("video", videoSettings);
+            const { width, height } = getVideoLayout(videoSettings);
+            console.log(`Video output preset: ${width}x${height} @ ${videoSettings.frameRate} fps, ${videoSettings.container}`);
+        };
+        [videoAspectSelect, videoResolutionSelect, videoFrameRateSelect, videoContainerSelect, subtitleTrackCheckbox, burnCaptionsCheckbox]
+            .forEach((el) => el.addEventListener("change", applySettings));
+    }
+
+    // Shows only the background rows that apply to the selected background type
+    function updateBackgroundRows() {
+        backgroundSettingsRows.forEach((row) => {
+            row.hidden = !row.dataset.backgroundTypes.split(" ").includes(backgroundSettings.type);
+        });
+        gradientAngleInput.disabled = backgroundSettings.gradientType === "radial";
+    }
+
+    // Loads the stored background settings into the background controls
+    function restoreBackgroundSettings() {
+        backgroundSettings = loadStoredSettings("background", DEFAULT_BACKGROUND_SETTINGS);
+        const defaults = DEFAULT_BACKGROUND_SETTINGS;
+        if (!BACKGROUND_TYPES.includes(backgroundSettings.type)) backgroundSettings.type = defaults.type;
+        if (!BACKGROUND_FITS.includes(backgroundSettings.fit)) backgroundSettings.fit = defaults.fit;
+        if (!GRADIENT_TYPES.includes(backgroundSettings.gradientType)) backgroundSettings.gradientType = defaults.gradientType;
+        backgroundSettings.blur = clampToInput(backgroundSettings.blur, backgroundBlurInput, defaults.blur);
+        backgroundSettings.gradientAngle = clampToInput(backgroundSettings.gradientAngle, gradientAngleInput, defaults.gradientAngle);
+        backgroundSettings.dim = clampToInput(backgroundSettings.dim, backgroundDimInput, defaults.dim);
+        backgroundTypeSelect.value = backgroundSettings.type;
+        backgroundFitSelect.value = backgroundSettings.fit;
+        backgroundBlurInput.value = backgroundSettings.blur;
+        gradientTypeSelect.value = backgroundSettings.gradientType;
+        gradientStartInput.value = backgroundSettings.gradientStart;
+        gradientEndInput.value = backgroundSettings.gradientEnd;
+        gradientAngleInput.value = backgroundSettings.gradientAngle;
+        backgroundDimInput.value = backgroundSettings.dim;
+        updateBackgroundRows();
+    }
+
+    // Restores the background settings and wires the background controls
+    function initializeBackgroundSettings() {
+        restoreBackgroundSettings();
+        const applySettings = () => {
+            backgroundSettings = {
+                type: backgroundTypeSelect.value,
+                fit: backgroundFitSelect.value,
+                blur: Number(backgroundBlurInput.value),
+                gradientType: gradientTypeSelect.value,
+                gradientStart: gradientStartInput.value,
+                gradientEnd: gradientEndInput.value,
+                gradientAngle: Number(gradientAngleInput.value),
+                dim: Number(backgroundDimInput.value),
+            };
+            saveStoredSettings("background", backgroundSettings);
+            updateBackgroundRows();
+        };
+        [backgroundTypeSelect, backgroundFitSelect, gradientTypeSelect, gradientStartInput, gradientEndInput]
+            .forEach((el) => el.addEventListener("change", applySettings));
+        [backgroundBlurInput, gradientAngleInput, backgroundDimInput].forEach((el) => el.addEventListener("input", applySettings));
+
+        backgroundFileBtn.addEventListener("click", () => backgroundFileInput.click());
+        backgroundFileInput.addEventListener("change", () => {
+            loadBackgroundFile(backgroundFileInput.files[0]);
+            backgroundFileInput.value = "";
+        });
+    }
+
+    // Loads the stored visualizer settings into the visualizer controls (colours default to the waveform theme colours)
+    function restoreVisualizerSettings() {
+        const styles = getComputedStyle(document.documentElement);
+        visualizerSettings = loadStoredSettings("visualizer", {
+            ...DEFAULT_VISUALIZER_SETTINGS,
+            color: styles.getPropertyValue("--wave-color").trim() || DEFAULT_VISUALIZER_SETTINGS.color,
+            accentColor: styles.getPropertyValue("--wave-progress").trim() || DEFAULT_VISUALIZER_SETTINGS.accentColor,
+        });
+        if (!VISUALIZER_STYLES.includes(visualizerSettings.style)) visualizerSettings.style = DEFAULT_VISUALIZER_SETTINGS.style;
+        if (!VISUALIZER_POSITIONS.includes(visualizerSettings.position)) visualizerSettings.position = DEFAULT_VISUALIZER_SETTINGS.position;
+        visualizerSettings.size = clampToInput(visualizerSettings.size, visualizerSizeInput, DEFAULT_VISUALIZER_SETTINGS.size);
+        visualizerStyleSelect.value = visualizerSettings.style;
+        visualizerPositionSelect.value = visualizerSettings.position;
+        visualizerSizeInput.value = visualizerSettings.size;
+        visualizerColorInput.value = visualizerSettings.color;
+        visualizerAccentInput.value = visualizerSettings.accentColor;
+    }
+
+    // Restores the visualizer settings and keeps them stored as they change
+    function initializeVisualizerSettings() {
+        restoreVisualizerSettings();
+        const applySettings = () => {
+            visualizerSettings = {
+                style: visualizerStyleSelect.value,
+                position: visualizerPositionSelect.value,
+                size: Number(visualizerSizeInput.value),
+                color: visualizerColorInput.value,
+                accentColor: visualizerAccentInput.value,
+            };
+            saveStoredSettings("visualizer", visualizerSettings);
+        };
+        [visualizerStyleSelect, visualizerPositionSelect, visualizerColorInput, visualizerAccentInput]
+            .forEach((el) => el.addEventListener("change", applySettings));
+        visualizerSizeInput.addEventListener("input", applySettings);
+    }
+
+    // Loads the stored caption style into the caption controls (text colour defaults to the theme text colour)
+    function restoreCaptionSettings() {
+        const styles = getComputedStyle(document.documentElement);
+        captionSettings = loadStoredSettings("captions", {
+            ...DEFAULT_CAPTION_SETTINGS,
+            textColor: styles.getPropertyValue("--text-light").trim() || DEFAULT_CAPTION_SETTINGS.textColor,
+        });
+        if (!CAPTION_ANIMATIONS.includes(captionSettings.animation)) captionSettings.animation = DEFAULT_CAPTION_SETTINGS.animation;
+        if (!CAPTION_TRANSITIONS.includes(captionSettings.transition)) captionSettings.transition = DEFAULT_CAPTION_SETTINGS.transition;
+        if (!CAPTION_FONT_FAMILIES[captionSettings.fontFamily]) captionSettings.fontFamily = DEFAULT_CAPTION_SETTINGS.fontFamily;
+        if (!CAPTION_FONT_WEIGHTS.includes(captionSettings.fontWeight)) captionSettings.fontWeight = DEFAULT_CAPTION_SETTINGS.fontWeight;
+        if (!CAPTION_POSITIONS.includes(captionSettings.position)) captionSettings.position = DEFAULT_CAPTION_SETTINGS.position;
+        // Numbers feed the caption layout loops, so anything unusable falls back before it gets there
+        [
+            ["fontSize", captionSizeInput],
+            ["padding", captionPaddingInput],
+            ["boxOpacity", captionBoxOpacityInput],
+            ["strokeWidth", captionStrokeInput],
+            ["shadow", captionShadowInput],
+        ].forEach(([key, input]) => { captionSettings[key] = clampToInput(captionSettings[key], input, DEFAULT_CAPTION_SETTINGS[key]); });
+        captionFontSelect.value = captionSettings.fontFamily;
+        captionWeightSelect.value = captionSettings.fontWeight;
+        captionSizeInput.value = captionSettings.fontSize;
+        captionColorInput.value = captionSettings.textColor;
+        captionPositionSelect.value = captionSettings.position;
+        captionPaddingInput.value = captionSettings.padding;
+        captionBoxColorInput.value = captionSettings.boxColor;
+        captionBoxOpacityInput.value = captionSettings.boxOpacity;
+        captionAnimationSelect.value = captionSettings.animation;
+        captionTransitionSelect.value = captionSettings.transition;
+        captionHighlightInput.value = captionSettings.highlightColor;
+        captionStrokeInput.value = captionSettings.strokeWidth;
+        captionStrokeColorInput.value = captionSettings.strokeColor;
+        captionShadowInput.value = captionSettings.shadow;
+    }
+
+    // Restores the caption style settings and keeps them stored as they change
+    function initializeCaptionSettings() {
+        Object.keys(CAPTION_FONT_FAMILIES).forEach((family) => captionFontSelect.add(new Option(family, family)));
+        CAPTION_FONT_WEIGHTS.forEach((weight) => captionWeightSelect.add(new Option(weight, weight)));
+        restoreCaptionSettings();
+
+        const applySettings = () => {
+            captionSettings = {
+                fontFamily: captionFontSelect.value,
+                fontWeight: Number(captionWeightSelect.value),
+                fontSize: Number(captionSizeInput.value),
+                textColor: captionColorInput.value,
+                position: captionPositionSelect.value,
+                padding: Number(captionPaddingInput.value),
+                boxColor: captionBoxColorInput.value,
+                boxOpacity: Number(captionBoxOpacityInput.value),
+                animation: captionAnimationSelect.value,
+                transition: captionTransitionSelect.value,
+                highlightColor: captionHighlightInput.value,
+                strokeWidth: Number(captionStrokeInput.value),
+                strokeColor: captionStrokeColorInput.value,
+                shadow: Number(captionShadowInput.value),
+            };
+            saveStoredSettings("captions", captionSettings);
+        };
+        [captionFontSelect, captionWeightSelect, captionColorInput, captionPositionSelect, captionBoxColorInput,
+            captionAnimationSelect, captionTransitionSelect, captionHighlightInput, captionStrokeColorInput]
+            .forEach((el) => el.addEventListener("change", applySettings));
+        [captionSizeInput, captionPaddingInput, captionBoxOpacityInput, captionStrokeInput, captionShadowInput]
+            .forEach((el) => el.addEventListener("input", applySettings));
+    }
+
+    // Loads the stored watermark settings into the watermark controls, with the logo they carry
+    function restoreWatermarkSettings() {
+        watermarkSettings = loadStoredSettings("watermark", DEFAULT_WATERMARK_SETTINGS);
+        if (!WATERMARK_CORNERS.includes(watermarkSettings.corner)) watermarkSettings.corner = DEFAULT_WATERMARK_SETTINGS.corner;
+        watermarkSettings.size = clampToInput(watermarkSettings.size, watermarkSizeInput, DEFAULT_WATERMARK_SETTINGS.size);
+        watermarkSettings.opacity = clampToInput(watermarkSettings.opacity, watermarkOpacityInput, DEFAULT_WATERMARK_SETTINGS.opacity);
+        if (!isImageDataUrl(watermarkSettings.image)) watermarkSettings = { ...watermarkSettings, image: "", name: "" };
+        watermarkCornerSelect.value = watermarkSettings.corner;
+        watermarkSizeInput.value = watermarkSettings.size;
+        watermarkOpacityInput.value = watermarkSettings.opacity;
+        showWatermarkImage();
+    }
+
+    // Restores the watermark settings and wires the watermark controls
+    function initializeWatermarkSettings() {
+        restoreWatermarkSettings();
+        const applySettings = () => {
+            watermarkSettings = {
+                ...watermarkSettings,
+                corner: watermarkCornerSelect.value,
+                size: Number(watermarkSizeInput.value),
+                opacity: Number(watermarkOpacityInput.value),
+            };
+            saveStoredSettings("watermark", watermarkSettings);
+        };
+        watermarkCornerSelect.addEventListener("change", applySettings);
+        [watermarkSizeInput, watermarkOpacityInput].forEach((el) => el.addEventListener("input", applySettings));
+
+        watermarkFileBtn.addEventListener("click", () => watermarkFileInput.click());
+        watermarkFileInput.addEventListener("change", () => {
+            loadWatermarkFile(watermarkFileInput.files[0]);
+            watermarkFileInput.value = "";
+        });
+        clearWatermarkBtn.addEventListener("click", () => {
+            watermarkSettings = { ...watermarkSettings, image: "", name: "" };
+            saveStoredSettings("watermark", watermarkSettings);
+            showWatermarkImage();
+            schedulePreviewRefresh();
+        });
+    }
+
+    // Restores the title card and overlay settings and keeps them stored as they change
+    function initializeCardSettings() {
+        cardSettings = loadStoredSettings("cards", DEFAULT_CARD_SETTINGS);
+        // Durations feed the frame count, audio padding and recorder stop, so only plain numbers in range pass
+        const readDuration = (value, fallback) => {
+            const duration = typeof value === "number" || (typeof value === "string" && value.trim()) ? Number(value) : NaN;
+            return Number.isFinite(duration) && duration > 0 ? Math.min(duration, TITLE_CARD_MAX_DURATION) : fallback;
+        };
+        const readBackground = (value, fallback) => (TITLE_CARD_BACKGROUNDS.includes(value) ? value : fallback);
+        cardSettings.introDuration = readDuration(cardSettings.introDuration, DEFAULT_CARD_SETTINGS.introDuration);
+        cardSettings.outroDuration = readDuration(cardSettings.outroDuration, DEFAULT_CARD_SETTINGS.outroDuration);
+        cardSettings.introBackground = readBackground(cardSettings.introBackground, DEFAULT_CARD_SETTINGS.introBackground);
+        cardSettings.outroBackground = readBackground(cardSettings.outroBackground, DEFAULT_CARD_SETTINGS.outroBackground);
+        introEnabledCheckbox.checked = cardSettings.introEnabled;
+        introTextInput.value = cardSettings.introText;
+        introDurationInput.value = cardSettings.introDuration;
+        introBackgroundSelect.value = cardSettings.introBackground;
+        introColorInput.value = cardSettings.introColor;
+        outroEnabledCheckbox.checked = cardSettings.outroEnabled;
+        outroTextInput.value = cardSettings.outroText;
+        outroDurationInput.value = cardSettings.outroDuration;
+        outroBackgroundSelect.value = cardSettings.outroBackground;
+        outroColorInput.value = cardSettings.outroColor;
+        progressBarCheckbox.checked = cardSettings.progressBar;
+        timerCheckbox.checked = cardSettings.timer;
+
+        const updateColorInputs = () => {
+            introColorInput.disabled = introBackgroundSelect.value !== "color";
+            outroColorInput.disabled = outroBackgroundSelect.value !== "color";
+        };
+        const applySettings = () => {
+            cardSettings = {
+                introEnabled: introEnabledCheckbox.checked,
+                introText: introTextInput.value,
+                introDuration: readDuration(introDurationInput.value, DEFAULT_CARD_SETTINGS.introDuration),
+                introBackground: introBackgroundSelect.value,
+                introColor: introColorInput.value,
+                outroEnabled: outroEnabledCheckbox.checked,
+                outroText: outroTextInput.value,
+                outroDuration: readDuration(outroDurationInput.value, DEFAULT_CARD_SETTINGS.outroDuration),
+                outroBackground: outroBackgroundSelect.value,
+                outroColor: outroColorInput.value,
+                progressBar: progressBarCheckbox.checked,
+                timer: timerCheckbox.checked,
+            };
+            saveStoredSettings("cards", cardSettings);
+            updateColorInputs();
+        };
+        [introEnabledCheckbox, introDurationInput, introBackgroundSelect, introColorInput, outroEnabledCheckbox,
+            outroDurationInput, outroBackgroundSelect, outroColorInput, progressBarCheckbox, timerCheckbox]
+            .forEach((el) => el.addEventListener("change", applySettings));
+        [introTextInput, outroTextInput].forEach((el) => el.addEventListener("input", applySettings));
+        updateColorInputs();
+    }
+
+    // Restores the poster and GIF settings, keeps them stored and wires the export buttons
+    function initializeGifSettings() {
+        gifSettings = loadStoredSettings("gif", DEFAULT_GIF_SETTINGS);
+        if (!POSTER_WIDTHS.includes(gifSettings.posterWidth)) gifSettings.posterWidth = DEFAULT_GIF_SETTINGS.posterWidth;
+        if (!GIF_FRAME_RATES.includes(gifSettings.frameRate)) gifSettings.frameRate = DEFAULT_GIF_SETTINGS.frameRate;
+        if (!GIF_WIDTHS.includes(gifSettings.width)) gifSettings.width = DEFAULT_GIF_SETTINGS.width;
+        // Seconds above 0, at most GIF_MAX_DURATION: the length sets how many frames are held in memory
+        const readDuration = (value) => {
+            const duration = typeof value === "number" || (typeof value === "string" && value.trim()) ? Number(value) : NaN;
+            return Number.isFinite(duration) && duration > 0 ? Math.min(duration, GIF_MAX_DURATION) : DEFAULT_GIF_SETTINGS.duration;
+        };
+        gifSettings.duration = readDuration(gifSettings.duration);
+
+        POSTER_WIDTHS.forEach((width) => posterWidthSelect.add(new Option(width ? `${width} px wide` : "Video size", width)));
+        GIF_FRAME_RATES.forEach((rate) => gifFrameRateSelect.add(new Option(`${rate} fps`, rate)));
+        GIF_WIDTHS.forEach((width) => gifWidthSelect.add(new Option(`${width} px`, width)));
+        posterWidthSelect.value = gifSettings.posterWidth;
+        gifDurationInput.max = GIF_MAX_DURATION;
+        gifDurationInput.value = gifSettings.duration;
+        gifFrameRateSelect.value = gifSettings.frameRate;
+        gifWidthSelect.value = gifSettings.width;
+
+        const applySettings = () => {
+            gifSettings = {
+                posterWidth: Number(posterWidthSelect.value),
+                duration: readDuration(gifDurationInput.value),
+                frameRate: Number(gifFrameRateSelect.value),
+                width: Number(gifWidthSelect.value),
+            };
+            saveStoredSettings("gif", gifSettings);
+        };
+        [posterWidthSelect, gifDurationInput, gifFrameRateSelect, gifWidthSelect].forEach((el) => el.addEventListener("change", applySettings));
+        savePosterBtn.addEventListener("click", savePosterFrame);
+        saveGifBtn.addEventListener("click", saveGif);
+    }
+
+    // Fills the template list and wires the template buttons
+    function initializeStyleTemplates() {
+        updateTemplateList();
+        templateSelect.addEventListener("change", () => { templateNameInput.value = templateSelect.value; });
+        saveTemplateBtn.addEventListener("click", saveStyleTemplate);
+        applyTemplateBtn.addEventListener("click", () => {
+            const template = loadStoredSettings("templates", {})[templateSelect.value];
+            if (template) applyStyleTemplate(template);
+        });
+        deleteTemplateBtn.addEventListener("click", deleteStyleTemplate);
+        exportTemplateBtn.addEventListener("click", exportStyleTemplate);
+        importTemplateBtn.addEventListener("click", () => templateFileInput.click());
+        templateFileInput.addEventListener("change", () => {
+            importStyleTemplate(templateFileInput.files[0]);
+            templateFileInput.value = "";
+        });
+    }
+
     // --- Initial Setup ---
+    initializeTranscriptionSettings(); // Must run before the first updateButtonStates
+    initializeAudioFormatControls();
+    initializeSilenceSettings();
+    initializeCleanupSettings();
+    initializeMusicSettings();
+    initializeVideoSettings();
+    initializeBackgroundSettings();
+    initializeVisualizerSettings();
+    initializeCaptionSettings();
+    initializeWatermarkSettings();
+    initializeCardSettings();
+    initializeGifSettings();
+    initializeStyleTemplates();
     initializeWaveSurfer(); // Initialize WaveSurfer when DOM is ready
     resetApp(false); // Set initial state to idle and clear everything
     // --- End Initial Setup ---